@@ -0,0 +1,135 @@
+/**
+ * 房間聊天
+ * 玩家與觀眾各自一個頻道，支援文字與固定的表情反應；
+ * 每個人有發言頻率上限，房主可以禁言，保留最近的訊息給剛加入或重連的人
+ */
+
+const { ERROR_CODES } = require('./protocol');
+
+const CHAT_CONFIG = {
+  MAX_LENGTH: 200, // 每則訊息最多幾個字
+  HISTORY_SIZE: 50, // 每個頻道保留最近幾則
+  RATE_LIMIT_COUNT: 5, // 每個人在時間窗內最多發幾則（含表情反應）
+  RATE_LIMIT_WINDOW_MS: 10 * 1000,
+};
+
+const CHAT_CHANNELS = ['players', 'spectators'];
+
+// 可以送出的表情反應
+const REACTIONS = ['👍', '👏', '😂', '😮', '😢', '😡', '🎉', '🤔'];
+
+// 會被遮成星號的字詞（可用環境變數 CHAT_BLOCKED_WORDS 以逗號分隔另外加入）
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'bitch', 'asshole', '幹你娘', '操你媽', '白痴', '智障',
+  ...(process.env.CHAT_BLOCKED_WORDS || '').split(',').map(word => word.trim()).filter(Boolean),
+];
+
+const BLOCKED_PATTERN = new RegExp(
+  BLOCKED_WORDS.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+  'gi'
+);
+
+/**
+ * 把不雅字詞換成同樣長度的星號
+ */
+function filterText(text) {
+  return text.replace(BLOCKED_PATTERN, match => '*'.repeat(match.length));
+}
+
+class ChatRoom {
+  constructor() {
+    this.history = new Map(CHAT_CHANNELS.map(channel => [channel, []])); // channel -> 最近的訊息
+    this.muted = new Set(); // 被房主禁言的玩家或觀眾 ID
+    this.recentPosts = new Map(); // senderId -> 時間窗內的發言時間
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * 發言：文字（text）或表情反應（reaction）擇一
+   * @param {string} channel - players / spectators
+   * @param {{ id: string, name: string }} sender
+   * @returns {{ success: true, entry: Object } | { success: false, code: string, message: string }}
+   */
+  post(channel, sender, { text, reaction }, now = Date.now()) {
+    if (this.muted.has(sender.id)) {
+      return { success: false, code: ERROR_CODES.ACTION_REJECTED, message: 'You have been muted by the host' };
+    }
+
+    let content;
+    if (reaction !== undefined && reaction !== null) {
+      if (!REACTIONS.includes(reaction)) {
+        return { success: false, code: ERROR_CODES.INVALID_PAYLOAD, message: 'Unknown reaction' };
+      }
+      content = { kind: 'reaction', reaction };
+    } else {
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+      if (trimmed.length === 0) {
+        return { success: false, code: ERROR_CODES.INVALID_PAYLOAD, message: 'Message is empty' };
+      }
+      if (trimmed.length > CHAT_CONFIG.MAX_LENGTH) {
+        return {
+          success: false,
+          code: ERROR_CODES.INVALID_PAYLOAD,
+          message: `Message must be at most ${CHAT_CONFIG.MAX_LENGTH} characters`,
+        };
+      }
+      content = { kind: 'text', text: filterText(trimmed) };
+    }
+
+    if (!this.takeRateToken(sender.id, now)) {
+      return { success: false, code: ERROR_CODES.RATE_LIMITED, message: 'You are sending messages too quickly' };
+    }
+
+    const entry = {
+      id: this.nextMessageId++,
+      channel,
+      senderId: sender.id,
+      senderName: sender.name,
+      ...content,
+      sentAt: now,
+    };
+    const history = this.history.get(channel);
+    history.push(entry);
+    if (history.length > CHAT_CONFIG.HISTORY_SIZE) {
+      history.shift();
+    }
+    return { success: true, entry };
+  }
+
+  // 滑動時間窗：窗內發言次數未滿才放行
+  takeRateToken(senderId, now) {
+    const windowStart = now - CHAT_CONFIG.RATE_LIMIT_WINDOW_MS;
+    const posts = (this.recentPosts.get(senderId) || []).filter(time => time > windowStart);
+    if (posts.length >= CHAT_CONFIG.RATE_LIMIT_COUNT) {
+      this.recentPosts.set(senderId, posts);
+      return false;
+    }
+    posts.push(now);
+    this.recentPosts.set(senderId, posts);
+    return true;
+  }
+
+  setMuted(id, muted) {
+    if (muted) {
+      this.muted.add(id);
+    } else {
+      this.muted.delete(id);
+    }
+  }
+
+  isMuted(id) {
+    return this.muted.has(id);
+  }
+
+  getHistory(channel) {
+    return [...this.history.get(channel)];
+  }
+}
+
+module.exports = {
+  CHAT_CONFIG,
+  CHAT_CHANNELS,
+  REACTIONS,
+  filterText,
+  ChatRoom,
+};
@@ -0,0 +1,337 @@
+/**
+ * Love Letter 電腦玩家
+ * 只根據自己看得到的資訊出牌：自己的手牌、所有棄牌堆、公開移除的牌，
+ * 以及神父、男爵等效果私下看到的手牌
+ */
+
+const { createRandom } = require('../random');
+
+// 難度：noise 評分的隨機幅度；tracking 是否記牌（棄牌、移除的牌、看過的手牌）；thinkMs 出牌前的思考時間
+const BOT_DIFFICULTIES = {
+  easy: { noise: 60, tracking: false, thinkMs: [1200, 2500] },
+  normal: { noise: 12, tracking: true, thinkMs: [900, 1800] },
+  hard: { noise: 2, tracking: true, thinkMs: [700, 1400] },
+};
+
+const DEFAULT_BOT_DIFFICULTY = 'normal';
+
+const BOT_NAMES = ['Ada', 'Byte', 'Chip', 'Pixel', 'Robo', 'Sprocket', 'Turing', 'Widget'];
+
+class LoveLetterBot {
+  /**
+   * @param {string} playerId
+   * @param {string} difficulty - easy / normal / hard
+   * @param {Object} rules - { cardTypes, guessByValue } 房間使用的牌組
+   * @param {number|string} [seed]
+   */
+  constructor(playerId, difficulty = DEFAULT_BOT_DIFFICULTY, rules, seed) {
+    this.playerId = playerId;
+    this.difficulty = BOT_DIFFICULTIES[difficulty] ? difficulty : DEFAULT_BOT_DIFFICULTY;
+    this.cardTypes = rules.cardTypes;
+    this.guessByValue = !!rules.guessByValue;
+    this.random = createRandom(seed);
+    this.known = new Map(); // playerId -> 已知的手牌類型
+    this.lastMove = null; // 自己上一步的出法（神父的結果要對應到目標）
+    this.keptType = null; // 出牌後留在手上的牌
+  }
+
+  get settings() {
+    return BOT_DIFFICULTIES[this.difficulty];
+  }
+
+  // 新的一回合，所有記憶作廢
+  reset() {
+    this.known.clear();
+    this.lastMove = null;
+    this.keptType = null;
+  }
+
+  // 出牌前的思考時間（毫秒）
+  getThinkDelay() {
+    const [min, max] = this.settings.thinkMs;
+    return Math.round(min + this.random() * (max - min));
+  }
+
+  /**
+   * 私下看到的手牌（神父、男爵／太后比牌、男爵夫人、樞機主教）
+   */
+  observePrivate(info) {
+    if (!this.settings.tracking || !info) return;
+
+    if (info.targetCard && this.lastMove?.targetId) {
+      this.known.set(this.lastMove.targetId, info.targetCard.type);
+    }
+    for (const { playerId, card } of info.comparison?.hands || []) {
+      if (card) this.learn(playerId, card.type);
+    }
+    for (const { playerId, cards } of info.revealedHands || []) {
+      if (cards.length === 1) this.learn(playerId, cards[0].type);
+    }
+  }
+
+  /**
+   * 公開的出牌結果：讓已經不準的記憶失效，交換手牌時跟著移動
+   * @param {{ playerId, cardType, targetId, secondTargetId }} play - CARD_PLAYED 的內容
+   */
+  observePlay({ playerId, cardType, targetId, secondTargetId }) {
+    if (!this.settings.tracking) return;
+
+    // 打出的正是記得的那張，或手牌整個換過
+    if (this.known.get(playerId) === cardType || cardType === 'CHANCELLOR' || cardType === 'BISHOP') {
+      this.known.delete(playerId);
+    }
+
+    switch (cardType) {
+      case 'PRINCE':
+        this.known.delete(targetId || playerId);
+        break;
+      case 'KING':
+        if (playerId === this.playerId) {
+          this.learn(targetId, this.keptType);
+        } else {
+          this.swap(playerId, targetId);
+        }
+        break;
+      case 'CARDINAL':
+        this.swap(targetId, secondTargetId);
+        break;
+    }
+  }
+
+  learn(playerId, type) {
+    if (playerId && playerId !== this.playerId && type) {
+      this.known.set(playerId, type);
+    }
+  }
+
+  // 兩位玩家交換手牌；牽涉到自己時，對方拿到的牌已經不在記憶中
+  swap(idA, idB) {
+    const typeA = this.known.get(idA);
+    const typeB = this.known.get(idB);
+    this.known.delete(idA);
+    this.known.delete(idB);
+    if (idA === this.playerId || idB === this.playerId) return;
+    this.learn(idA, typeB);
+    this.learn(idB, typeA);
+  }
+
+  /**
+   * 還沒看到的牌：整副牌扣掉自己的手牌、所有棄牌堆、公開移除的牌與已知的手牌
+   * @returns {Map<string, number>} type -> 張數
+   */
+  getUnseenCounts(view) {
+    const unseen = new Map(Object.entries(this.cardTypes).map(([type, info]) => [type, info.count]));
+    const seen = [
+      ...view.hand,
+      ...view.faceUpCards,
+      ...view.players.flatMap(p => p.discardPile),
+    ].map(c => c.type);
+    for (const [playerId, type] of this.known) {
+      if (this.isActive(view, playerId)) seen.push(type);
+    }
+    for (const type of seen) {
+      unseen.set(type, Math.max(0, (unseen.get(type) || 0) - 1));
+    }
+    return unseen;
+  }
+
+  isActive(view, playerId) {
+    const player = view.players.find(p => p.id === playerId);
+    return !!player && !player.eliminated;
+  }
+
+  // 目標手上是某張牌的機率分布
+  getTargetOdds(view, targetId) {
+    const knownType = this.known.get(targetId);
+    if (knownType && this.isActive(view, targetId)) {
+      return new Map([[knownType, 1]]);
+    }
+    const unseen = this.getUnseenCounts(view);
+    const total = [...unseen.values()].reduce((sum, n) => sum + n, 0);
+    const odds = new Map();
+    for (const [type, count] of unseen) {
+      if (count > 0) odds.set(type, count / total);
+    }
+    return odds;
+  }
+
+  valueOf(type) {
+    return this.cardTypes[type]?.value ?? 0;
+  }
+
+  /**
+   * 守衛與主教：猜命中機率最高的牌（Premium 版同點數的牌一起算）
+   * @returns {{ guessType: string, chance: number }}
+   */
+  pickGuess(view, targetId, guesses) {
+    const odds = this.getTargetOdds(view, targetId);
+    let best = { guessType: guesses[0], chance: 0 };
+    for (const guessType of guesses) {
+      let chance = 0;
+      for (const [type, p] of odds) {
+        const hit = this.guessByValue ? this.valueOf(type) === this.valueOf(guessType) : type === guessType;
+        if (hit) chance += p;
+      }
+      if (chance > best.chance) best = { guessType, chance };
+    }
+    return best;
+  }
+
+  // 比牌（男爵／太后）的勝負機率：lowerIsOut = true 時點數低的出局
+  compareOdds(view, targetId, myValue, lowerIsOut) {
+    let win = 0;
+    let lose = 0;
+    for (const [type, p] of this.getTargetOdds(view, targetId)) {
+      const value = this.valueOf(type);
+      if (value === myValue) continue;
+      if ((value < myValue) === lowerIsOut) win += p;
+      else lose += p;
+    }
+    return { win, lose };
+  }
+
+  /**
+   * 評估一種出法，分數越高越好
+   */
+  scoreMove(view, move, targetId, keptType) {
+    if (move.type === 'PRINCESS') return -1000;
+
+    const tracking = this.settings.tracking;
+    const keptValue = this.valueOf(keptType);
+    // 回合結束時手牌點數高者勝，留下大牌比較有利
+    const score = keptValue * 2;
+
+    if (move.noEffect) return score;
+
+    switch (move.type) {
+      case 'GUARD':
+      case 'BISHOP': {
+        const { chance } = tracking ? this.pickGuess(view, targetId, move.guesses) : { chance: 0.2 };
+        return score + (move.type === 'GUARD' ? 100 : 40) * chance;
+      }
+      case 'PRIEST':
+        return score + (this.known.has(targetId) ? 2 : 18);
+      case 'BARON':
+      case 'DOWAGER_QUEEN': {
+        if (!tracking) return score + 5;
+        const { win, lose } = this.compareOdds(view, targetId, keptValue, move.type === 'BARON');
+        return score + 80 * win - 100 * lose;
+      }
+      case 'HANDMAID':
+        return score + 22;
+      case 'PRINCE': {
+        if (targetId === this.playerId) {
+          // 棄掉自己的小牌重抽；留著公主時絕不能這樣做
+          return keptType === 'PRINCESS' ? -1000 : score - keptValue * 4 + 6;
+        }
+        const odds = tracking ? this.getTargetOdds(view, targetId) : new Map();
+        return score + 15 + 150 * (odds.get('PRINCESS') || 0);
+      }
+      case 'KING': {
+        if (keptType === 'PRINCESS') return -500;
+        const theirs = tracking ? this.getExpectedValue(view, targetId) : keptValue;
+        return score - keptValue * 2 + (theirs - keptValue) * 4;
+      }
+      case 'SYCOPHANT':
+        return score + (targetId === this.playerId ? -10 : 6);
+      case 'CARDINAL':
+        return score + (targetId === this.playerId ? -5 : 4);
+      case 'COUNTESS':
+      case 'SPY':
+      case 'CHANCELLOR':
+        return score + 15;
+      case 'ASSASSIN':
+        return score - 10; // 留在手上才能反殺猜它的守衛
+      default:
+        return score + 10;
+    }
+  }
+
+  getExpectedValue(view, targetId) {
+    let expected = 0;
+    for (const [type, p] of this.getTargetOdds(view, targetId)) {
+      expected += this.valueOf(type) * p;
+    }
+    return expected;
+  }
+
+  /**
+   * 依合法出法選一步，回傳格式與 PLAY_CARD 相同
+   * @param {Object} view - game.getPlayerView(botId)
+   * @param {Object} legalMoves - game.getLegalMoves(botId)
+   * @returns {{ cardIndex, targetId?, secondTargetId?, guessType? }|null}
+   */
+  chooseMove(view, legalMoves) {
+    const candidates = [];
+    for (const move of legalMoves.cards.filter(m => m.playable)) {
+      const kept = view.hand.find((_, i) => i !== move.cardIndex);
+      const keptType = kept ? kept.type : null;
+
+      for (const option of this.getTargetOptions(move)) {
+        const score = this.scoreMove(view, move, option.targetId, keptType) +
+          (this.random() - 0.5) * this.settings.noise;
+        candidates.push({ move, option, score, keptType });
+      }
+    }
+    if (candidates.length === 0) return null;
+
+    const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+    const chosen = { cardIndex: best.move.cardIndex, ...best.option };
+    if (best.move.guesses && chosen.targetId) {
+      chosen.guessType = this.settings.tracking
+        ? this.pickGuess(view, chosen.targetId, best.move.guesses).guessType
+        : best.move.guesses[Math.floor(this.random() * best.move.guesses.length)];
+    }
+
+    this.lastMove = chosen;
+    this.keptType = best.keptType;
+    return chosen;
+  }
+
+  /**
+   * 一張牌可以選的目標組合（無效果的牌不指定目標）
+   */
+  getTargetOptions(move) {
+    if (!move.targetMode || move.noEffect) return [{}];
+
+    const targets = move.forcedTarget
+      ? [move.forcedTarget, ...move.targets.filter(id => id !== move.forcedTarget)]
+      : move.targets;
+
+    if (move.minTargets === 2 || move.maxTargets === 2) {
+      // 樞機主教必須選兩位；男爵夫人選兩位看得比較多
+      const [first, second] = targets;
+      if (move.minTargets === 2 && !second) return [];
+      return [second ? { targetId: first, secondTargetId: second } : { targetId: first }];
+    }
+
+    const options = move.forcedTarget ? [move.forcedTarget] : targets;
+    return options.map(targetId => ({ targetId }));
+  }
+
+  /**
+   * 等待中的效果：大臣保留點數最高的牌（公主優先），主教在手牌小時棄牌重抽
+   */
+  choosePending(view) {
+    const prompt = view.pendingPrompt;
+    if (!prompt) return {};
+
+    if (prompt.prompt === 'CHANCELLOR_CHOICE') {
+      const values = view.hand.map(c => (c.type === 'PRINCESS' ? Infinity : this.valueOf(c.type)));
+      const keepIndex = values.indexOf(Math.max(...values));
+      return { keepIndex };
+    }
+    if (prompt.prompt === 'BISHOP_DISCARD') {
+      const [card] = view.hand;
+      return { discard: !!card && card.type !== 'PRINCESS' && this.valueOf(card.type) <= 3 };
+    }
+    return {};
+  }
+}
+
+module.exports = {
+  LoveLetterBot,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_NAMES,
+};
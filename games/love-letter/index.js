@@ -2,6 +2,9 @@
  * 情書 Love Letter 遊戲模組
  */
 
+const { normalizeSeed, createRandom, shuffle } = require('../random');
+const { LoveLetterBot, BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY, BOT_NAMES } = require('./bot');
+
 const CARD_TYPES = {
   GUARD: { value: 1, name: '守衛', count: 5 },
   PRIEST: { value: 2, name: '神父', count: 2 },
@@ -13,34 +16,127 @@ const CARD_TYPES = {
   PRINCESS: { value: 8, name: '公主', count: 1 }
 };
 
+// 2019 版：加入間諜與大臣，共 21 張
+const CARD_TYPES_2019 = {
+  SPY: { value: 0, name: '間諜', count: 2 },
+  GUARD: { value: 1, name: '守衛', count: 6 },
+  PRIEST: { value: 2, name: '神父', count: 2 },
+  BARON: { value: 3, name: '男爵', count: 2 },
+  HANDMAID: { value: 4, name: '侍女', count: 2 },
+  PRINCE: { value: 5, name: '王子', count: 2 },
+  CHANCELLOR: { value: 6, name: '大臣', count: 2 },
+  KING: { value: 7, name: '國王', count: 1 },
+  COUNTESS: { value: 8, name: '伯爵夫人', count: 1 },
+  PRINCESS: { value: 9, name: '公主', count: 1 }
+};
+
+// Premium 版：經典牌加上 9 種擴充角色，共 32 張，適合 5–8 人
+const CARD_TYPES_PREMIUM = {
+  ASSASSIN: { value: 0, name: '刺客', count: 1 },
+  JESTER: { value: 0, name: '小丑', count: 1 },
+  GUARD: { value: 1, name: '守衛', count: 8 },
+  PRIEST: { value: 2, name: '神父', count: 2 },
+  CARDINAL: { value: 2, name: '樞機主教', count: 2 },
+  BARON: { value: 3, name: '男爵', count: 2 },
+  BARONESS: { value: 3, name: '男爵夫人', count: 2 },
+  HANDMAID: { value: 4, name: '侍女', count: 2 },
+  SYCOPHANT: { value: 4, name: '諂媚者', count: 2 },
+  PRINCE: { value: 5, name: '王子', count: 2 },
+  COUNT: { value: 5, name: '伯爵', count: 2 },
+  KING: { value: 6, name: '國王', count: 1 },
+  CONSTABLE: { value: 6, name: '警衛隊長', count: 1 },
+  COUNTESS: { value: 7, name: '伯爵夫人', count: 1 },
+  DOWAGER_QUEEN: { value: 7, name: '太后', count: 1 },
+  PRINCESS: { value: 8, name: '公主', count: 1 },
+  BISHOP: { value: 9, name: '主教', count: 1 }
+};
+
+// 需要指定目標的卡牌：other = 只能指定其他玩家，any = 可以指定自己
+const CARD_TARGETS = {
+  GUARD: 'other',
+  PRIEST: 'other',
+  BARON: 'other',
+  PRINCE: 'any',
+  KING: 'other',
+  JESTER: 'other',
+  CARDINAL: 'any',
+  BARONESS: 'other',
+  SYCOPHANT: 'any',
+  DOWAGER_QUEEN: 'other',
+  BISHOP: 'other'
+};
+
+// 需要兩個目標的卡牌（樞機主教交換兩位玩家的手牌）
+const MIN_TARGETS = { CARDINAL: 2 };
+const MAX_TARGETS = { CARDINAL: 2, BARONESS: 2 };
+
+// 規則版本：牌組、人數上限、勝利所需信物數（依人數）
+const RULESETS = {
+  classic: {
+    name: '經典版',
+    cards: CARD_TYPES,
+    maxPlayers: 4,
+    tokensToWin: { 2: 7, 3: 5, 4: 4 }
+  },
+  '2019': {
+    name: '2019 版',
+    cards: CARD_TYPES_2019,
+    maxPlayers: 6,
+    tokensToWin: { 2: 6, 3: 5, 4: 4, 5: 3, 6: 3 }
+  },
+  premium: {
+    name: 'Premium 版',
+    cards: CARD_TYPES_PREMIUM,
+    maxPlayers: 8,
+    tokensToWin: { 2: 7, 3: 5, 4: 4, 5: 4, 6: 4, 7: 4, 8: 4 },
+    guessByValue: true // 同點數的牌不只一種，守衛與主教改猜點數
+  }
+};
+
+const DEFAULT_RULESET = 'classic';
+
+// 回合時間限制（秒）
+const TURN_TIME_LIMIT = 60;
+
+// 超時處理：AUTO_PLAY = 代為打出合法的牌，ELIMINATE = 直接出局
+const TIMEOUT_POLICIES = ['AUTO_PLAY', 'ELIMINATE'];
+
 class LoveLetterGame {
-  constructor(roomId) {
+  constructor(roomId, options = {}) {
     this.roomId = roomId;
+    this.ruleset = RULESETS[options.ruleset] ? String(options.ruleset) : DEFAULT_RULESET;
+    this.timeoutPolicy = TIMEOUT_POLICIES.includes(options.timeoutPolicy) ? options.timeoutPolicy : 'AUTO_PLAY';
+    this.seed = normalizeSeed(options.seed); // 這一場的洗牌種子，可在建立房間時指定第一場的種子以重現對局
+    this.random = createRandom(this.seed);
     this.players = new Map();
     this.deck = [];
     this.removedCards = [];
     this.currentPlayerIndex = 0;
+    this.pendingAction = null; // 等待玩家完成的效果（如大臣選牌）
+    this.sycophantTargetId = null; // 諂媚者指定，下一張指定目標的牌必須選他
+    this.jester = null; // { playerId, targetId } 小丑押注的玩家
+    this.knockoutBonuses = []; // 本次出牌中因警衛隊長獲得信物的玩家
+    this.turnTimeLeft = TURN_TIME_LIMIT;
     this.phase = 'WAITING';
   }
 
   get playerCount() { return this.players.size; }
   get minPlayers() { return 2; }
-  get maxPlayers() { return 4; }
+  get maxPlayers() { return RULESETS[this.ruleset].maxPlayers; }
   get gameName() { return 'love-letter'; }
+  get cardTypes() { return RULESETS[this.ruleset].cards; }
 
   get tokensToWin() {
-    switch (this.playerCount) {
-      case 2: return 7;
-      case 3: return 5;
-      default: return 4;
-    }
+    const table = RULESETS[this.ruleset].tokensToWin;
+    return table[this.playerCount] || table[Math.max(...Object.keys(table).map(Number))];
   }
 
-  addPlayer(playerId, playerName) {
+  addPlayer(playerId, playerName, { isBot = false } = {}) {
     if (this.playerCount >= this.maxPlayers) return false;
     this.players.set(playerId, {
       id: playerId,
       name: playerName,
+      isBot,
       hand: [],
       discardPile: [],
       eliminated: false,
@@ -51,13 +147,18 @@ class LoveLetterGame {
   }
 
   removePlayer(playerId) {
+    const index = [...this.players.keys()].indexOf(playerId);
     this.players.delete(playerId);
+    // 移除目前玩家（或之前）的座位時往前挪一格，下一位照原本的順序接著輪
+    if (index !== -1 && index <= this.currentPlayerIndex && this.playerCount > 0) {
+      this.currentPlayerIndex = (this.currentPlayerIndex - 1 + this.playerCount) % this.playerCount;
+    }
   }
 
   initDeck() {
     this.deck = [];
     let id = 0;
-    for (const [type, info] of Object.entries(CARD_TYPES)) {
+    for (const [type, info] of Object.entries(this.cardTypes)) {
       for (let i = 0; i < info.count; i++) {
         this.deck.push({ id: id++, type, value: info.value });
       }
@@ -66,10 +167,7 @@ class LoveLetterGame {
   }
 
   shuffleDeck() {
-    for (let i = this.deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
-    }
+    this.deck = shuffle(this.deck, this.random);
   }
 
   drawCard() {
@@ -80,16 +178,23 @@ class LoveLetterGame {
     return [...this.players.values()].filter(p => !p.eliminated);
   }
 
+  // currentPlayerIndex 是座位順序（含已出局玩家），出局不會打亂輪替
   getCurrentPlayer() {
-    const active = this.getActivePlayers();
-    if (active.length === 0) return null;
-    return active[this.currentPlayerIndex % active.length];
+    const seats = [...this.players.values()];
+    if (seats.length === 0) return null;
+    return seats[this.currentPlayerIndex % seats.length];
   }
 
   nextPlayer() {
-    const active = this.getActivePlayers();
-    if (active.length <= 1) return;
-    this.currentPlayerIndex = (this.currentPlayerIndex + 1) % active.length;
+    const seats = [...this.players.values()];
+    if (this.getActivePlayers().length <= 1) return;
+    for (let step = 1; step <= seats.length; step++) {
+      const index = (this.currentPlayerIndex + step) % seats.length;
+      if (!seats[index].eliminated) {
+        this.currentPlayerIndex = index;
+        return;
+      }
+    }
   }
 
   getTargetablePlayers(excludeId) {
@@ -100,20 +205,115 @@ class LoveLetterGame {
     return this.getActivePlayers().length <= 1 || this.deck.length === 0;
   }
 
-  determineRoundWinner() {
+  /**
+   * 回合結束時的手牌點數（伯爵：棄牌堆中每張伯爵 +1）
+   */
+  getRoundScore(player) {
+    const handValue = player.hand.reduce((sum, c) => sum + c.value, 0);
+    const countBonus = player.discardPile.filter(c => c.type === 'COUNT').length;
+    return handValue + countBonus;
+  }
+
+  getDiscardTotal(player) {
+    return player.discardPile.reduce((sum, c) => sum + c.value, 0);
+  }
+
+  /**
+   * 依官方規則決定回合勝者：
+   * 手牌最大者勝；同點數比棄牌總和；仍平手則全部獲勝
+   * @returns {{ winners: Object[], reasonCode: string, reason: string }}
+   */
+  determineRoundWinners() {
     const active = this.getActivePlayers();
-    if (active.length === 1) return active[0];
-
-    let winner = null;
-    let highestValue = -1;
-    for (const player of active) {
-      const handValue = player.hand.reduce((sum, c) => sum + c.value, 0);
-      if (handValue > highestValue) {
-        highestValue = handValue;
-        winner = player;
+    if (active.length === 0) {
+      return { winners: [], reasonCode: 'NO_PLAYERS', reason: '沒有存活的玩家' };
+    }
+    if (active.length === 1) {
+      return { winners: active, reasonCode: 'LAST_STANDING', reason: `${active[0].name} 是唯一存活的玩家` };
+    }
+
+    // 公主在回合結束時勝過主教
+    const hasPrincess = active.some(p => p.hand.some(c => c.type === 'PRINCESS'));
+    const contenders = hasPrincess
+      ? active.filter(p => !p.hand.some(c => c.type === 'BISHOP'))
+      : active;
+
+    const highestScore = Math.max(...contenders.map(p => this.getRoundScore(p)));
+    const topByCard = contenders.filter(p => this.getRoundScore(p) === highestScore);
+    if (topByCard.length === 1) {
+      const winner = topByCard[0];
+      const cardName = winner.hand.map(c => this.cardTypes[c.type]?.name || c.type).join('、');
+      return {
+        winners: topByCard,
+        reasonCode: 'HIGHEST_CARD',
+        reason: `${winner.name} 的手牌 ${cardName}（${highestScore}）最大`
+      };
+    }
+
+    const highestDiscard = Math.max(...topByCard.map(p => this.getDiscardTotal(p)));
+    const winners = topByCard.filter(p => this.getDiscardTotal(p) === highestDiscard);
+    if (winners.length === 1) {
+      return {
+        winners,
+        reasonCode: 'DISCARD_TOTAL',
+        reason: `手牌同為 ${highestScore}，${winners[0].name} 的棄牌總和 ${highestDiscard} 最高`
+      };
+    }
+
+    return {
+      winners,
+      reasonCode: 'SHARED',
+      reason: `手牌（${highestScore}）與棄牌總和（${highestDiscard}）皆相同，${winners.map(p => p.name).join('、')} 同時獲勝`
+    };
+  }
+
+  /**
+   * 回合結束時公開的資訊：存活玩家手牌、各家棄牌總和、移除的牌
+   */
+  getRoundReveal() {
+    const players = [...this.players.values()];
+    const [faceDown, ...faceUp] = this.removedCards;
+    return {
+      hands: this.getActivePlayers().map(p => ({
+        playerId: p.id,
+        playerName: p.name,
+        cards: [...p.hand],
+        score: this.getRoundScore(p)
+      })),
+      discardTotals: players.map(p => ({
+        playerId: p.id,
+        playerName: p.name,
+        total: this.getDiscardTotal(p),
+        eliminated: p.eliminated
+      })),
+      removedCards: { faceDown: faceDown || null, faceUp }
+    };
+  }
+
+  /**
+   * 回合結算：決定勝者並發放所有信物（含間諜、小丑獎勵）
+   * @returns {{ winners: Object[], reasonCode: string, reason: string, bonuses: Array<{ playerId, playerName, reason }> }}
+   */
+  scoreRound() {
+    const { winners, reasonCode, reason } = this.determineRoundWinners();
+    const bonuses = [];
+    for (const winner of winners) winner.tokens++;
+
+    const spyPlayer = this.getSpyBonusPlayer();
+    if (spyPlayer) {
+      spyPlayer.tokens++;
+      bonuses.push({ playerId: spyPlayer.id, playerName: spyPlayer.name, reason: 'SPY' });
+    }
+
+    if (this.jester && winners.some(w => w.id === this.jester.targetId)) {
+      const jesterPlayer = this.players.get(this.jester.playerId);
+      if (jesterPlayer) {
+        jesterPlayer.tokens++;
+        bonuses.push({ playerId: jesterPlayer.id, playerName: jesterPlayer.name, reason: 'JESTER' });
       }
     }
-    return winner;
+
+    return { winners, reasonCode, reason, bonuses };
   }
 
   isGameOver() {
@@ -123,6 +323,14 @@ class LoveLetterGame {
     return false;
   }
 
+  /**
+   * 間諜：回合結束時，若場上只剩一位存活玩家打出或棄過間諜，該玩家額外獲得 1 個信物
+   */
+  getSpyBonusPlayer() {
+    const spies = this.getActivePlayers().filter(p => p.discardPile.some(c => c.type === 'SPY'));
+    return spies.length === 1 ? spies[0] : null;
+  }
+
   getGameWinner() {
     for (const player of this.players.values()) {
       if (player.tokens >= this.tokensToWin) return player;
@@ -130,6 +338,16 @@ class LoveLetterGame {
     return null;
   }
 
+  // 新的一場：所有人的信物歸零，並換一個新的洗牌種子
+  // （回放會公開上一場的種子，沿用同一條亂數就能推算接下來的牌庫）
+  resetForNewGame() {
+    for (const player of this.players.values()) {
+      player.tokens = 0;
+    }
+    this.seed = normalizeSeed();
+    this.random = createRandom(this.seed);
+  }
+
   // 遊戲邏輯
   startRound() {
     for (const player of this.players.values()) {
@@ -140,6 +358,9 @@ class LoveLetterGame {
     }
 
     this.initDeck();
+    this.pendingAction = null;
+    this.sycophantTargetId = null;
+    this.jester = null;
     this.removedCards = [];
     this.removedCards.push(this.drawCard());
 
@@ -157,27 +378,180 @@ class LoveLetterGame {
     this.phase = 'PLAYING';
   }
 
+  /**
+   * 本回合的發牌結果（牌堆從最後一張開始抽），只寫入對局紀錄、不公開
+   */
+  getDealRecord() {
+    return {
+      deck: this.deck.map(c => ({ ...c })),
+      removedCards: this.removedCards.map(c => ({ ...c })),
+      hands: Object.fromEntries([...this.players.values()].map(p => [p.id, p.hand.map(c => ({ ...c }))]))
+    };
+  }
+
   mustPlayCountess(player) {
     const hasCountess = player.hand.some(c => c.type === 'COUNTESS');
     const hasKingOrPrince = player.hand.some(c => c.type === 'KING' || c.type === 'PRINCE');
     return hasCountess && hasKingOrPrince;
   }
 
-  executeCard(player, card, target, guessType) {
+  /**
+   * 目標是否可被指定（未出局且未受侍女保護，自己不受保護限制）
+   */
+  canTarget(player, target) {
+    return !!target && !target.eliminated && (target === player || !target.protected);
+  }
+
+  /**
+   * 出局：手牌進棄牌堆；若警衛隊長已在棄牌堆中，出局時獲得 1 個信物
+   */
+  eliminatePlayer(player) {
+    if (player.eliminated) return;
+    const hasConstable = player.discardPile.some(c => c.type === 'CONSTABLE');
+    player.eliminated = true;
+    player.discardPile.push(...player.hand);
+    player.hand = [];
+    if (hasConstable) {
+      player.tokens++;
+      this.knockoutBonuses.push(player);
+    }
+  }
+
+  /**
+   * 守衛與主教的猜測是否命中（Premium 版比對點數）
+   */
+  matchesGuess(card, guessType) {
+    if (RULESETS[this.ruleset].guessByValue) {
+      return card.value === this.cardTypes[guessType].value;
+    }
+    return card.type === guessType;
+  }
+
+  /**
+   * 諂媚者：若下一張牌需指定目標，回傳必須指定的玩家
+   */
+  getForcedTarget(player, card) {
+    const mode = CARD_TARGETS[card.type];
+    if (!this.sycophantTargetId || !mode) return null;
+    const forced = this.players.get(this.sycophantTargetId);
+    if (!forced || forced.eliminated) return null;
+    if (forced === player) return mode === 'any' ? forced : null;
+    return forced.protected ? null : forced;
+  }
+
+  /**
+   * 這張牌目前可以指定的玩家（諂媚者生效時只剩被指定的玩家）
+   */
+  getValidTargets(player, card) {
+    const mode = CARD_TARGETS[card.type];
+    if (!mode) return [];
+    const forced = this.getForcedTarget(player, card);
+    if (forced && !MAX_TARGETS[card.type]) return [forced];
+    return this.getActivePlayers().filter(p =>
+      this.canTarget(player, p) && (mode === 'any' || p !== player));
+  }
+
+  /**
+   * 官方規則：所有可指定的玩家都受保護時，需要目標的牌仍可打出，但沒有效果
+   */
+  hasNoValidTarget(player, card) {
+    if (!CARD_TARGETS[card.type]) return false;
+    return this.getValidTargets(player, card).length < (MIN_TARGETS[card.type] || 1);
+  }
+
+  /**
+   * 列出玩家這回合可以打出的牌、可指定的目標與守衛可猜的牌
+   */
+  getLegalMoves(playerId) {
+    const player = this.players.get(playerId);
+    const isTurn = this.phase === 'PLAYING' && !!player && !player.eliminated &&
+      this.getCurrentPlayer() === player && !this.pendingAction;
+    if (!isTurn) return { playerId, isTurn: false, cards: [] };
+
+    const mustCountess = this.mustPlayCountess(player);
+    const guesses = Object.keys(this.cardTypes).filter(type => type !== 'GUARD');
+    const cards = player.hand.map((card, cardIndex) => {
+      const targetMode = CARD_TARGETS[card.type] || null;
+      const move = {
+        cardIndex,
+        type: card.type,
+        playable: !mustCountess || card.type === 'COUNTESS',
+        targetMode,
+        targets: this.getValidTargets(player, card).map(p => p.id),
+        minTargets: targetMode ? (MIN_TARGETS[card.type] || 1) : 0,
+        maxTargets: targetMode ? (MAX_TARGETS[card.type] || 1) : 0,
+        noEffect: this.hasNoValidTarget(player, card)
+      };
+      const forced = this.getForcedTarget(player, card);
+      if (forced) move.forcedTarget = forced.id;
+      if (card.type === 'GUARD' || card.type === 'BISHOP') move.guesses = guesses;
+      if (!move.playable) move.reason = '必須打出伯爵夫人';
+      return move;
+    });
+    return { playerId, isTurn: true, cards };
+  }
+
+  executeCard(player, card, target, guessType, options = {}) {
+    const secondTarget = options.secondTarget || null;
+
+    if (!target && !secondTarget && this.hasNoValidTarget(player, card)) {
+      if (card.type !== 'SYCOPHANT') this.sycophantTargetId = null;
+      return {
+        success: true,
+        message: `沒有可指定的目標，${this.cardTypes[card.type].name} 無效果`,
+        noEffect: true
+      };
+    }
+
+    const forced = this.getForcedTarget(player, card);
+    if (forced) {
+      const chosen = [card.type === 'PRINCE' ? (target || player) : target, secondTarget];
+      if (!chosen.includes(forced)) {
+        return { success: false, message: `必須指定 ${forced.name}（諂媚者）` };
+      }
+    }
+
+    this.knockoutBonuses = [];
+    const result = this.applyCardEffect(player, card, target, guessType, secondTarget);
+    if (!result.success) return result;
+
+    if (card.type !== 'SYCOPHANT') this.sycophantTargetId = null;
+    if (this.knockoutBonuses.length > 0) {
+      const names = this.knockoutBonuses.map(p => p.name).join('、');
+      result.message += `（${names} 因警衛隊長獲得信物）`;
+    }
+    return result;
+  }
+
+  applyCardEffect(player, card, target, guessType, secondTarget) {
     switch (card.type) {
       case 'GUARD':
-        if (!guessType || guessType === 'GUARD') return { success: false, message: '無效猜測' };
-        if (!target || target.protected) return { success: false, message: '無效目標' };
-        if (target.hand.some(c => c.type === guessType)) {
-          target.eliminated = true;
-          target.discardPile.push(...target.hand);
-          target.hand = [];
+        if (!guessType || guessType === 'GUARD' || !this.cardTypes[guessType]) {
+          return { success: false, message: '無效猜測' };
+        }
+        if (!this.canTarget(player, target) || target === player) return { success: false, message: '無效目標' };
+        if (target.hand.some(c => c.type === 'ASSASSIN')) {
+          this.eliminatePlayer(player);
+          const assassin = target.hand.find(c => c.type === 'ASSASSIN');
+          target.hand = target.hand.filter(c => c !== assassin);
+          target.discardPile.push(assassin);
+          const newCard = this.drawCard();
+          if (newCard) target.hand.push(newCard);
+          return {
+            success: true,
+            message: `${target.name} 是刺客！${player.name} 出局`,
+            newCard,
+            newCardPlayerId: target.id
+          };
+        }
+        if (target.hand.some(c => this.matchesGuess(c, guessType))) {
+          this.eliminatePlayer(target);
           return { success: true, message: `猜對了！${target.name} 出局` };
         }
         return { success: true, message: '猜錯了' };
 
       case 'PRIEST':
-        if (!target || target.protected) return { success: false, message: '無效目標' };
+        if (!this.canTarget(player, target) || target === player) return { success: false, message: '無效目標' };
         return {
           success: true,
           message: `查看了 ${target.name} 的手牌`,
@@ -185,70 +559,371 @@ class LoveLetterGame {
         };
 
       case 'BARON':
-        if (!target || target.protected) return { success: false, message: '無效目標' };
-        const playerCard = player.hand.find(c => c.type !== 'BARON');
-        const playerValue = playerCard ? playerCard.value : 0;
-        const targetValue = target.hand[0]?.value || 0;
-
-        if (playerValue > targetValue) {
-          target.eliminated = true;
-          target.discardPile.push(...target.hand);
-          target.hand = [];
-          return { success: true, message: `${target.name} 出局 (${targetValue} vs ${playerValue})` };
-        } else if (targetValue > playerValue) {
-          player.eliminated = true;
-          player.discardPile.push(...player.hand);
-          player.hand = [];
-          return { success: true, message: `${player.name} 出局 (${playerValue} vs ${targetValue})` };
-        }
-        return { success: true, message: '平手！' };
+        if (!this.canTarget(player, target) || target === player) return { success: false, message: '無效目標' };
+        return this.compareHands(player, card, target, true);
 
       case 'HANDMAID':
         player.protected = true;
         return { success: true, message: `${player.name} 獲得保護` };
 
-      case 'PRINCE':
+      case 'PRINCE': {
         const princeTarget = target || player;
-        if (princeTarget !== player && princeTarget.protected) {
+        if (!this.canTarget(player, princeTarget)) {
           return { success: false, message: '目標受保護' };
         }
-        if (princeTarget.hand.some(c => c.type === 'PRINCESS')) {
-          princeTarget.eliminated = true;
-          princeTarget.discardPile.push(...princeTarget.hand);
-          princeTarget.hand = [];
+        const discarded = princeTarget.hand.filter(c => c !== card);
+        if (discarded.some(c => c.type === 'PRINCESS')) {
+          this.eliminatePlayer(princeTarget);
           return { success: true, message: `${princeTarget.name} 棄掉公主，出局！` };
         }
-        if (princeTarget.hand.length > 0) {
-          princeTarget.discardPile.push(...princeTarget.hand);
-          princeTarget.hand = [];
+        if (discarded.length > 0) {
+          princeTarget.hand = princeTarget.hand.filter(c => c === card);
+          princeTarget.discardPile.push(...discarded);
           const newCard = this.drawCard();
           if (newCard) princeTarget.hand.push(newCard);
-          return { success: true, message: `${princeTarget.name} 棄牌重抽`, newCard };
+          return {
+            success: true,
+            message: `${princeTarget.name} 棄牌重抽`,
+            newCard,
+            newCardPlayerId: princeTarget.id
+          };
         }
         return { success: true, message: '無效果' };
+      }
 
-      case 'KING':
-        if (!target || target.protected) return { success: false, message: '無效目標' };
-        const pCards = player.hand.filter(c => c.type !== 'KING');
+      case 'KING': {
+        if (!this.canTarget(player, target) || target === player) return { success: false, message: '無效目標' };
+        const pCards = player.hand.filter(c => c !== card);
         const tCards = [...target.hand];
-        player.hand = player.hand.filter(c => c.type === 'KING');
+        player.hand = player.hand.filter(c => c === card);
         player.hand.push(...tCards);
         target.hand = pCards;
         return { success: true, message: `${player.name} 和 ${target.name} 交換了手牌` };
+      }
+
+      case 'CHANCELLOR': {
+        const drawn = [];
+        for (let i = 0; i < 2; i++) {
+          const drawnCard = this.drawCard();
+          if (drawnCard) drawn.push(drawnCard);
+        }
+        if (drawn.length === 0) {
+          return { success: true, message: '牌庫已空，無效果' };
+        }
+        player.hand.push(...drawn);
+        const prompt = { prompt: 'CHANCELLOR_CHOICE', chancellorCards: drawn, returnCount: drawn.length };
+        this.pendingAction = { type: 'CHANCELLOR', playerId: player.id, returnCount: drawn.length, prompt };
+        return {
+          success: true,
+          message: `${player.name} 抽了 ${drawn.length} 張牌，正在選擇`,
+          pendingAction: this.pendingAction,
+          privateInfo: prompt
+        };
+      }
+
+      case 'SPY':
+        return { success: true, message: `${player.name} 打出間諜` };
+
+      case 'ASSASSIN':
+        return { success: true, message: `${player.name} 打出刺客` };
+
+      case 'JESTER':
+        if (!this.canTarget(player, target) || target === player) return { success: false, message: '無效目標' };
+        this.jester = { playerId: player.id, targetId: target.id };
+        return { success: true, message: `${player.name} 押注 ${target.name} 會贏得這一回合` };
+
+      case 'CARDINAL': {
+        if (!this.canTarget(player, target) || !this.canTarget(player, secondTarget) || target === secondTarget) {
+          return { success: false, message: '無效目標' };
+        }
+        const handA = target.hand.filter(c => c !== card);
+        const handB = secondTarget.hand.filter(c => c !== card);
+        target.hand = target.hand.filter(c => c === card).concat(handB);
+        secondTarget.hand = secondTarget.hand.filter(c => c === card).concat(handA);
+
+        // 查看其中一位的新手牌（自己以外的那一位）
+        const viewed = target === player ? secondTarget : target;
+        return {
+          success: true,
+          message: `${target.name} 和 ${secondTarget.name} 交換了手牌`,
+          privateInfo: {
+            revealedHands: [{ playerId: viewed.id, cards: viewed.hand.filter(c => c !== card) }]
+          }
+        };
+      }
+
+      case 'BARONESS': {
+        const targets = [target, secondTarget].filter(Boolean);
+        const valid = targets.length > 0 &&
+          targets.every(t => t !== player && this.canTarget(player, t)) &&
+          targets[0] !== targets[1];
+        if (!valid) return { success: false, message: '無效目標' };
+        return {
+          success: true,
+          message: `查看了 ${targets.map(t => t.name).join('、')} 的手牌`,
+          privateInfo: {
+            revealedHands: targets.map(t => ({ playerId: t.id, cards: [...t.hand] }))
+          }
+        };
+      }
+
+      case 'SYCOPHANT':
+        if (!this.canTarget(player, target)) return { success: false, message: '無效目標' };
+        this.sycophantTargetId = target.id;
+        return { success: true, message: `下一張指定目標的牌必須指定 ${target.name}` };
+
+      case 'COUNT':
+        return { success: true, message: `${player.name} 打出伯爵` };
+
+      case 'CONSTABLE':
+        return { success: true, message: `${player.name} 打出警衛隊長` };
+
+      case 'DOWAGER_QUEEN':
+        // 太后：與男爵相反，點數較高者出局
+        if (!this.canTarget(player, target) || target === player) return { success: false, message: '無效目標' };
+        return this.compareHands(player, card, target, false);
+
+      case 'BISHOP':
+        if (!guessType || guessType === 'GUARD' || !this.cardTypes[guessType]) {
+          return { success: false, message: '無效猜測' };
+        }
+        if (!this.canTarget(player, target) || target === player) return { success: false, message: '無效目標' };
+        if (!target.hand.some(c => this.matchesGuess(c, guessType))) {
+          return { success: true, message: '猜錯了' };
+        }
+        player.tokens++;
+        // 主教的信物達到勝利條件時立即獲勝，目標不必再選擇重抽
+        if (player.tokens >= this.tokensToWin) {
+          this.phase = 'GAME_OVER';
+          return { success: true, message: `猜對了！${player.name} 獲得 1 個信物，贏得遊戲`, gameOver: true };
+        }
+        const prompt = { prompt: 'BISHOP_DISCARD', bishopPlayerId: player.id };
+        this.pendingAction = { type: 'BISHOP', playerId: target.id, bishopPlayerId: player.id, prompt };
+        return {
+          success: true,
+          message: `猜對了！${player.name} 獲得 1 個信物，${target.name} 可選擇是否棄牌重抽`,
+          pendingAction: this.pendingAction,
+          targetInfo: { playerId: target.id, data: prompt }
+        };
 
       case 'COUNTESS':
         return { success: true, message: '打出伯爵夫人' };
 
       case 'PRINCESS':
-        player.eliminated = true;
-        player.discardPile.push(...player.hand);
-        player.hand = [];
+        this.eliminatePlayer(player);
         return { success: true, message: `${player.name} 打出公主，出局！` };
 
       default:
         return { success: false, message: '未知卡牌' };
     }
   }
+
+  /**
+   * 公開的牌桌狀態（不含任何人的手牌）
+   */
+  getPublicState() {
+    const current = this.getCurrentPlayer();
+    const pending = this.pendingAction;
+    return {
+      roomId: this.roomId,
+      ruleset: this.ruleset,
+      phase: this.phase,
+      tokensToWin: this.tokensToWin,
+      players: [...this.players.values()].map((p, seat) => ({
+        id: p.id,
+        name: p.name,
+        isBot: p.isBot,
+        seat,
+        tokens: p.tokens,
+        handCount: p.hand.length,
+        discardPile: [...p.discardPile],
+        eliminated: p.eliminated,
+        protected: p.protected
+      })),
+      currentPlayer: this.phase === 'PLAYING' && current ? current.id : null,
+      currentPlayerIndex: this.currentPlayerIndex,
+      deckCount: this.deck.length,
+      faceUpCards: this.removedCards.slice(1), // 兩人局公開移除的牌；第一張蓋牌不公開
+      waitingFor: pending ? pending.playerId : null,
+      turnTimeLeft: this.turnTimeLeft
+    };
+  }
+
+  /**
+   * 個別玩家看到的狀態：公開狀態加上自己的手牌與待處理的選擇
+   */
+  getPlayerView(playerId) {
+    const player = this.players.get(playerId);
+    const pending = this.pendingAction;
+    return {
+      ...this.getPublicState(),
+      playerId,
+      hand: player ? [...player.hand] : [],
+      pendingPrompt: pending && pending.playerId === playerId ? pending.prompt : null
+    };
+  }
+
+  /**
+   * 超時代打：挑一張合法的牌與合法的目標（盡量不打出公主）
+   * @returns {{ cardIndex, targetId, secondTargetId, guessType }|null} 不是該玩家的回合時回傳 null
+   */
+  getAutoPlay(player) {
+    const { cards } = this.getLegalMoves(player.id);
+    const candidates = cards
+      .filter(move => move.playable)
+      .sort((a, b) =>
+        (a.type === 'PRINCESS') - (b.type === 'PRINCESS') ||
+        this.cardTypes[a.type].value - this.cardTypes[b.type].value);
+
+    const [move] = candidates;
+    return move ? this.buildAutoMove(player, move) : null;
+  }
+
+  buildAutoMove(player, move) {
+    const { cardIndex } = move;
+    if (!move.targetMode || move.noEffect) return { cardIndex };
+
+    // 優先指定其他玩家，最後才指定自己
+    const ordered = [
+      ...move.targets.filter(id => id !== player.id),
+      ...move.targets.filter(id => id === player.id)
+    ];
+    const targetId = move.forcedTarget || ordered[0];
+    const autoMove = { cardIndex, targetId };
+    if (move.guesses) autoMove.guessType = move.guesses[0];
+    if (move.minTargets === 2) autoMove.secondTargetId = ordered.find(id => id !== targetId);
+    return autoMove;
+  }
+
+  /**
+   * 超時時替等待中的效果做預設選擇：大臣保留原本的牌，主教不棄牌
+   */
+  getAutoPendingChoice() {
+    switch (this.pendingAction?.type) {
+      case 'CHANCELLOR': return { keepIndex: 0 };
+      case 'BISHOP': return { discard: false };
+      default: return {};
+    }
+  }
+
+  /**
+   * 男爵與太后：比較雙方手牌，兩位玩家都會私下看到彼此的牌
+   * @param {boolean} lowerIsOut - true = 點數較低者出局（男爵），false = 較高者出局（太后）
+   */
+  compareHands(player, card, target, lowerIsOut) {
+    const playerCard = player.hand.find(c => c !== card) || null;
+    const targetCard = target.hand[0] || null;
+    const playerValue = playerCard ? playerCard.value : 0;
+    const targetValue = targetCard ? targetCard.value : 0;
+
+    const comparison = {
+      cardType: card.type,
+      hands: [
+        { playerId: player.id, card: playerCard },
+        { playerId: target.id, card: targetCard }
+      ]
+    };
+    const reveal = {
+      privateInfo: { comparison },
+      targetInfo: { playerId: target.id, data: { comparison } }
+    };
+
+    if (playerValue === targetValue) {
+      return { success: true, message: '平手！', ...reveal };
+    }
+
+    const loser = (playerValue < targetValue) === lowerIsOut ? player : target;
+    const [loserValue, otherValue] = loser === player ? [playerValue, targetValue] : [targetValue, playerValue];
+    this.eliminatePlayer(loser);
+    return { success: true, message: `${loser.name} 出局 (${loserValue} vs ${otherValue})`, ...reveal };
+  }
+
+  /**
+   * 處理等待中的效果選擇
+   * @param {Object} player - 送出選擇的玩家
+   * @param {Object} choice - { keepIndex, returnOrder } 或 { discard }
+   */
+  resolvePendingAction(player, choice = {}) {
+    if (this.phase !== 'PLAYING' || player.eliminated) {
+      return { success: false, message: '沒有待處理的選擇' };
+    }
+    switch (this.pendingAction?.type) {
+      case 'CHANCELLOR':
+        return this.resolveChancellor(player, choice.keepIndex, choice.returnOrder);
+      case 'BISHOP':
+        return this.resolveBishop(player, !!choice.discard);
+      default:
+        return { success: false, message: '沒有待處理的選擇' };
+    }
+  }
+
+  /**
+   * 大臣：保留一張手牌，其餘依 returnOrder 順序放回牌庫底
+   * @param {Object} player
+   * @param {number} keepIndex - 要保留的手牌索引
+   * @param {number[]} [returnOrder] - 放回的手牌索引，第一張放在最底
+   */
+  resolveChancellor(player, keepIndex, returnOrder) {
+    const pending = this.pendingAction;
+    if (!pending || pending.type !== 'CHANCELLOR' || pending.playerId !== player.id) {
+      return { success: false, message: '沒有待選擇的大臣效果' };
+    }
+    if (!Number.isInteger(keepIndex) || keepIndex < 0 || keepIndex >= player.hand.length) {
+      return { success: false, message: '無效的卡牌' };
+    }
+
+    const others = player.hand.map((_, i) => i).filter(i => i !== keepIndex);
+    const order = Array.isArray(returnOrder) ? returnOrder : others;
+    const valid = order.length === others.length && others.every(i => order.includes(i));
+    if (!valid) {
+      return { success: false, message: '無效的放回順序' };
+    }
+
+    const keptCard = player.hand[keepIndex];
+    const returned = order.map(i => player.hand[i]);
+    this.deck.unshift(...returned);
+    player.hand = [keptCard];
+    this.pendingAction = null;
+
+    return { success: true, message: `${player.name} 將 ${returned.length} 張牌放回牌庫底` };
+  }
+
+  /**
+   * 主教：被猜中的玩家可選擇棄掉手牌重抽
+   */
+  resolveBishop(player, discard) {
+    const pending = this.pendingAction;
+    if (!pending || pending.type !== 'BISHOP' || pending.playerId !== player.id) {
+      return { success: false, message: '沒有待選擇的主教效果' };
+    }
+    this.pendingAction = null;
+
+    if (!discard || player.hand.length === 0) {
+      return { success: true, message: `${player.name} 保留手牌` };
+    }
+    if (player.hand.some(c => c.type === 'PRINCESS')) {
+      this.eliminatePlayer(player);
+      return { success: true, message: `${player.name} 棄掉公主，出局！` };
+    }
+    player.discardPile.push(...player.hand);
+    player.hand = [];
+    const newCard = this.drawCard();
+    if (newCard) player.hand.push(newCard);
+    return { success: true, message: `${player.name} 棄牌重抽`, newCard, newCardPlayerId: player.id };
+  }
 }
 
-module.exports = { LoveLetterGame, CARD_TYPES };
+module.exports = {
+  LoveLetterGame,
+  CARD_TYPES,
+  CARD_TYPES_2019,
+  CARD_TYPES_PREMIUM,
+  CARD_TARGETS,
+  RULESETS,
+  TURN_TIME_LIMIT,
+  TIMEOUT_POLICIES,
+  LoveLetterBot,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_NAMES
+};
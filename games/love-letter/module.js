@@ -0,0 +1,765 @@
+/**
+ * Love Letter 遊戲模組：伺服器端的房間流程（出牌、回合計時、電腦玩家、斷線處理）
+ * 模組介面請見 games/README.md
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  LoveLetterGame,
+  RULESETS,
+  TURN_TIME_LIMIT,
+  TIMEOUT_POLICIES,
+  LoveLetterBot,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_NAMES
+} = require('./index');
+
+const GAME_ID = 'love-letter';
+
+// 房間設定（也是 JOIN_ROOM 可以帶的欄位）
+const SETTINGS = {
+  ruleset: { type: 'enum', values: Object.keys(RULESETS), default: 'classic' },
+  timeoutPolicy: { type: 'enum', values: TIMEOUT_POLICIES, default: 'AUTO_PLAY' },
+  spectatorDelay: { type: 'integer', min: 0, max: 300, default: 0, description: '觀眾延遲幾秒看到對局' }
+};
+
+// 可以開始下一回合或新的一場的階段（回合進行中不能重新開始）
+const START_PHASES = ['WAITING', 'ROUND_END', 'GAME_OVER'];
+
+const NAME_MAX_LENGTH = 32;
+const TOKEN_MAX_LENGTH = 64;
+
+let hub = null; // 伺服器提供的房間與會話操作，setup() 時注入
+
+function handleGameAction(room, action, data, playerId) {
+  const game = room.game;
+
+  switch (action) {
+    case 'START_GAME':
+      if (room.hostId !== playerId) {
+        room.sendTo(playerId, { type: 'ERROR', data: { message: '只有房主可以開始遊戲' } });
+        return;
+      }
+      if (!START_PHASES.includes(game.phase)) {
+        room.sendTo(playerId, { type: 'ERROR', data: { message: '回合進行中，不能重新開始' } });
+        return;
+      }
+      if (game.playerCount < game.minPlayers) {
+        room.broadcast({ type: 'ERROR', data: { message: `需要至少 ${game.minPlayers} 位玩家` } });
+        return;
+      }
+      room.clearTimer('round');
+      if (game.phase === 'GAME_OVER') {
+        game.resetForNewGame();
+      }
+      game.startRound();
+      room.bots.forEach(bot => bot.reset());
+      room.recordEvent('DEAL', game.getDealRecord(), []);
+      room.broadcast({
+        type: 'GAME_START',
+        data: { phase: game.phase, ruleset: game.ruleset, tokensToWin: game.tokensToWin }
+      });
+
+      // 發送初始手牌
+      for (const player of game.players.values()) {
+        room.sendTo(player.id, {
+          type: 'CARD_DRAWN',
+          data: { playerId: player.id, card: player.hand[0] }
+        });
+      }
+
+      // 當前玩家抽牌
+      drawCardForCurrentPlayer(room);
+      break;
+
+    case 'PLAY_CARD':
+      playCard(room, playerId, data);
+      break;
+
+    case 'CHANCELLOR_CHOICE':
+    case 'BISHOP_CHOICE':
+      resolvePendingAction(room, playerId, data);
+      break;
+
+    case 'ADD_BOT':
+    case 'REMOVE_BOT':
+      if (room.hostId !== playerId) {
+        room.sendTo(playerId, { type: 'ERROR', data: { message: '只有房主可以調整電腦玩家' } });
+        return;
+      }
+      if (game.phase !== 'WAITING') {
+        room.sendTo(playerId, { type: 'ERROR', data: { message: '遊戲開始後不能調整電腦玩家' } });
+        return;
+      }
+      if (action === 'ADD_BOT') {
+        addLoveLetterBot(room, playerId, data.difficulty);
+      } else {
+        removeLoveLetterBot(room, playerId, data.playerId);
+      }
+      break;
+  }
+}
+
+// ============================================
+// Love Letter 電腦玩家
+// ============================================
+
+function addLoveLetterBot(room, hostId, difficulty) {
+  const game = room.game;
+  const level = BOT_DIFFICULTIES[difficulty] ? difficulty : DEFAULT_BOT_DIFFICULTY;
+
+  // 挑一個還沒被使用的名字
+  const names = [...game.players.values()].map(p => p.name);
+  const baseName = BOT_NAMES.find(name => !names.includes(`${name} (Bot)`)) || BOT_NAMES[0];
+  const botId = `bot-${uuidv4().slice(0, 8)}`;
+  const botName = `${baseName} (Bot)`;
+  const bot = new LoveLetterBot(botId, level, {
+    cardTypes: game.cardTypes,
+    guessByValue: RULESETS[game.ruleset].guessByValue
+  }, botId);
+
+  if (!room.addBot(botId, botName, bot)) {
+    room.sendTo(hostId, { type: 'ERROR', data: { message: '房間已滿' } });
+    return;
+  }
+
+  room.broadcast({
+    type: 'PLAYER_JOINED',
+    data: {
+      playerId: botId,
+      playerName: botName,
+      isBot: true,
+      difficulty: level,
+      playerCount: game.playerCount,
+      maxPlayers: game.maxPlayers,
+      ruleset: game.ruleset
+    }
+  });
+  console.log(`[Love Letter] Bot ${botName} (${level}) joined room ${room.roomId}`);
+}
+
+function removeLoveLetterBot(room, hostId, botId) {
+  const player = room.game.players.get(botId);
+  if (!player || !room.bots.has(botId)) {
+    room.sendTo(hostId, { type: 'ERROR', data: { message: '找不到這位電腦玩家' } });
+    return;
+  }
+
+  room.removePlayer(botId);
+  room.broadcast({
+    type: 'PLAYER_LEFT',
+    data: { playerId: botId, playerName: player.name, isBot: true }
+  });
+}
+
+/**
+ * 輪到電腦玩家出牌（或完成大臣、主教的選擇）時，思考一下再走和真人相同的流程
+ */
+function scheduleLoveLetterBotTurn(room) {
+  const game = room.game;
+  const actorId = game.pendingAction ? game.pendingAction.playerId : game.getCurrentPlayer()?.id;
+  const bot = room.bots.get(actorId);
+  if (!bot || game.phase !== 'PLAYING') return;
+
+  room.setTimer('botTurn', () => {
+    const pending = game.pendingAction;
+    const stillActing = pending ? pending.playerId === actorId : game.getCurrentPlayer()?.id === actorId;
+    if (!hub.isActive(room) || game.phase !== 'PLAYING' || !stillActing) {
+      return;
+    }
+
+    const view = game.getPlayerView(actorId);
+    if (pending) {
+      resolvePendingAction(room, actorId, bot.choosePending(view));
+      return;
+    }
+
+    const move = bot.chooseMove(view, game.getLegalMoves(actorId));
+    if (!move || !playCard(room, actorId, move)) {
+      // 理論上不會發生；保險起見改用超時代打的出法
+      const fallback = game.getAutoPlay(game.players.get(actorId));
+      if (fallback) playCard(room, actorId, fallback);
+    }
+  }, bot.getThinkDelay());
+}
+
+function drawCardForCurrentPlayer(room) {
+  const game = room.game;
+  const current = game.getCurrentPlayer();
+  if (!current) return;
+
+  current.protected = false;
+  const card = game.drawCard();
+  if (card) {
+    current.hand.push(card);
+    room.sendTo(current.id, {
+      type: 'CARD_DRAWN',
+      data: { playerId: current.id, card }
+    });
+  }
+
+  startLoveLetterTurnTimer(room);
+
+  broadcastPlayerViews(room, 'TURN_CHANGE', {
+    currentPlayer: current.id,
+    currentPlayerName: current.name,
+    timeLimit: TURN_TIME_LIMIT
+  });
+  scheduleLoveLetterBotTurn(room);
+}
+
+// 每位玩家各自收到附上個人視角狀態（公開牌桌 + 自己的手牌）的訊息
+function broadcastPlayerViews(room, type, data) {
+  room.recordEvent(type, data);
+  for (const playerId of room.sockets.keys()) {
+    room.sendTo(playerId, {
+      type,
+      data: {
+        ...data,
+        state: room.game.getPlayerView(playerId),
+        legalMoves: room.game.getLegalMoves(playerId)
+      }
+    }, false);
+  }
+  // 觀眾只看公開狀態（沒有手牌）
+  room.sendToSpectators({
+    type,
+    data: { ...data, state: room.game.getPlayerView(null) }
+  });
+}
+
+function startLoveLetterTurnTimer(room, timeLeft = TURN_TIME_LIMIT) {
+  const game = room.game;
+
+  game.turnTimeLeft = timeLeft;
+
+  room.setTimer('turn', () => {
+    game.turnTimeLeft--;
+
+    if (game.turnTimeLeft <= 0) {
+      handleLoveLetterTimeout(room);
+    } else if (game.turnTimeLeft <= 10) {
+      room.broadcast({
+        type: 'TURN_TIME_UPDATE',
+        data: { timeLeft: game.turnTimeLeft, isWarning: true }
+      });
+    }
+  }, 1000, true);
+}
+
+function handleLoveLetterTimeout(room) {
+  const game = room.game;
+
+  room.clearTimer('turn');
+
+  if (game.phase !== 'PLAYING') return;
+
+  console.log(`[Love Letter] Time's up in room ${room.roomId}`);
+
+  // 等待中的效果選擇：代為做預設選擇
+  if (game.pendingAction) {
+    const waitingId = game.pendingAction.playerId;
+    room.broadcast({
+      type: 'TURN_TIMEOUT',
+      data: { playerId: waitingId, playerName: game.players.get(waitingId)?.name, policy: 'AUTO_PLAY' }
+    });
+    resolvePendingAction(room, waitingId, game.getAutoPendingChoice());
+    return;
+  }
+
+  const current = game.getCurrentPlayer();
+  if (!current || current.eliminated) return;
+
+  const move = game.timeoutPolicy === 'AUTO_PLAY' ? game.getAutoPlay(current) : null;
+  room.broadcast({
+    type: 'TURN_TIMEOUT',
+    data: { playerId: current.id, playerName: current.name, policy: move ? 'AUTO_PLAY' : 'ELIMINATE' }
+  });
+
+  if (move && playCard(room, current.id, move)) {
+    // 代打的大臣直接替玩家完成選擇
+    if (game.pendingAction && game.pendingAction.playerId === current.id) {
+      resolvePendingAction(room, current.id, game.getAutoPendingChoice());
+    }
+    return;
+  }
+
+  // 沒有合法出法或設定為出局：超時玩家出局
+  const handsBefore = snapshotHands(game);
+  game.eliminatePlayer(current);
+  room.broadcast({
+    type: 'CARD_PLAYED',
+    data: { playerId: current.id, cardType: null, result: `${current.name} 超時出局` }
+  });
+  sendHandUpdates(room, handsBefore, 'TIMEOUT');
+  checkRoundEnd(room);
+}
+
+function playCard(room, playerId, data) {
+  const game = room.game;
+  const { cardIndex, targetId, secondTargetId, guessType } = data;
+
+  const player = game.players.get(playerId);
+  const current = game.getCurrentPlayer();
+
+  // 回合結束或遊戲結束後，最後一位行動的玩家仍是 current，必須另外確認回合還在進行
+  if (game.phase !== 'PLAYING' || !player || player.eliminated || !current || current.id !== playerId) {
+    room.sendTo(playerId, { type: 'ERROR', data: { message: '不是你的回合' } });
+    return false;
+  }
+
+  if (cardIndex < 0 || cardIndex >= player.hand.length) {
+    room.sendTo(playerId, { type: 'ERROR', data: { message: '無效的卡牌' } });
+    return false;
+  }
+
+  if (game.pendingAction) {
+    room.sendTo(playerId, { type: 'ERROR', data: { message: '請等待目前效果完成選擇' } });
+    return false;
+  }
+
+  const card = player.hand[cardIndex];
+
+  if (game.mustPlayCountess && game.mustPlayCountess(player) && card.type !== 'COUNTESS') {
+    room.sendTo(playerId, { type: 'ERROR', data: { message: '你必須打出伯爵夫人！' } });
+    return false;
+  }
+
+  const target = targetId ? game.players.get(targetId) : null;
+  const secondTarget = secondTargetId ? game.players.get(secondTargetId) : null;
+  const handsBefore = snapshotHands(game);
+  const result = game.executeCard(player, card, target, guessType, { secondTarget });
+
+  if (!result.success) {
+    room.sendTo(playerId, { type: 'ERROR', data: { message: result.message } });
+    return false;
+  }
+
+  // 棄牌（出局時手牌已全部進入棄牌堆）
+  const playedIndex = player.hand.indexOf(card);
+  if (playedIndex !== -1) {
+    player.hand.splice(playedIndex, 1);
+    player.discardPile.push(card);
+  }
+
+  // 廣播結果
+  room.broadcast({
+    type: 'CARD_PLAYED',
+    data: {
+      playerId,
+      cardType: card.type,
+      targetId,
+      secondTargetId,
+      guessType,
+      noEffect: !!result.noEffect,
+      result: result.message
+    }
+  });
+  room.bots.forEach(bot => bot.observePlay({ playerId, cardType: card.type, targetId, secondTargetId }));
+
+  // 私人訊息（如神父查看）
+  if (result.privateInfo) {
+    room.sendTo(playerId, {
+      type: 'PRIVATE_INFO',
+      data: result.privateInfo
+    });
+    room.bots.get(playerId)?.observePrivate(result.privateInfo);
+  }
+
+  // 給目標的私人訊息（如主教的棄牌提示）
+  if (result.targetInfo) {
+    room.sendTo(result.targetInfo.playerId, {
+      type: 'PRIVATE_INFO',
+      data: result.targetInfo.data
+    });
+    room.bots.get(result.targetInfo.playerId)?.observePrivate(result.targetInfo.data);
+  }
+
+  sendNewCard(room, result);
+  sendHandUpdates(room, handsBefore, card.type);
+
+  // 大臣、主教：等待玩家選擇，回合暫不結束（輪到其他玩家選擇時重新計時）
+  if (result.pendingAction) {
+    if (result.pendingAction.playerId !== playerId) {
+      startLoveLetterTurnTimer(room);
+    }
+    scheduleLoveLetterBotTurn(room);
+    return true;
+  }
+
+  // 檢查回合結束
+  checkRoundEnd(room);
+  return true;
+}
+
+// 如果有新抽的牌（王子、刺客、主教效果）
+function sendNewCard(room, result) {
+  if (result.newCard && result.newCardPlayerId) {
+    room.sendTo(result.newCardPlayerId, {
+      type: 'CARD_DRAWN',
+      data: { playerId: result.newCardPlayerId, card: result.newCard }
+    });
+  }
+}
+
+// 記錄每位玩家目前手牌的卡牌 id，用來比對效果後哪些手牌有變動
+function snapshotHands(game) {
+  const snapshot = new Map();
+  for (const player of game.players.values()) {
+    snapshot.set(player.id, player.hand.map(c => c.id).join(','));
+  }
+  return snapshot;
+}
+
+// 手牌有變動的玩家（國王交換、出局、重抽⋯）私下收到完整的最新手牌
+function sendHandUpdates(room, handsBefore, reason) {
+  for (const player of room.game.players.values()) {
+    const current = player.hand.map(c => c.id).join(',');
+    if (handsBefore.get(player.id) !== current) {
+      room.sendTo(player.id, {
+        type: 'HAND_UPDATE',
+        data: { playerId: player.id, hand: player.hand, reason }
+      });
+    }
+  }
+}
+
+function resolvePendingAction(room, playerId, data) {
+  const game = room.game;
+
+  const player = game.players.get(playerId);
+  if (!player) return;
+
+  const pendingType = game.pendingAction?.type;
+  const handsBefore = snapshotHands(game);
+  const result = game.resolvePendingAction(player, data);
+  if (!result.success) {
+    room.sendTo(playerId, { type: 'ERROR', data: { message: result.message } });
+    return;
+  }
+
+  room.broadcast({
+    type: 'CARD_PLAYED',
+    data: { playerId, cardType: pendingType, result: result.message }
+  });
+  room.bots.forEach(bot => bot.observePlay({ playerId, cardType: pendingType }));
+  sendNewCard(room, result);
+  sendHandUpdates(room, handsBefore, pendingType);
+
+  checkRoundEnd(room);
+}
+
+function checkRoundEnd(room) {
+  const game = room.game;
+
+  // 回合中途就達到勝利條件（主教的信物）：直接結束遊戲，不再結算回合
+  if (game.phase === 'GAME_OVER') {
+    room.clearTimer('turn');
+    endLoveLetterGame(room);
+    return;
+  }
+
+  if (game.isRoundOver()) {
+    room.clearTimer('turn');
+
+    const { winners, reasonCode, reason, bonuses } = game.scoreRound();
+    const [winner] = winners;
+    room.broadcast({
+      type: 'ROUND_END',
+      data: {
+        winner: winner?.id || null,
+        winnerName: winner?.name || null,
+        tokens: winner?.tokens || 0,
+        winners: winners.map(p => ({ playerId: p.id, playerName: p.name, tokens: p.tokens })),
+        reasonCode,
+        reason,
+        bonuses,
+        ...game.getRoundReveal()
+      }
+    });
+
+    if (game.isGameOver() || game.playerCount < game.minPlayers) {
+      game.phase = 'GAME_OVER';
+      endLoveLetterGame(room);
+    } else {
+      game.phase = 'ROUND_END';
+      room.setTimer('round', () => {
+        // 保險：人數不足時不發下一局（removeSeat 通常已經結束遊戲）
+        if (game.playerCount < game.minPlayers) {
+          game.phase = 'GAME_OVER';
+          endLoveLetterGame(room);
+          return;
+        }
+        game.startRound();
+        room.bots.forEach(bot => bot.reset());
+        room.recordEvent('DEAL', game.getDealRecord(), []);
+        room.broadcast({ type: 'ROUND_START' });
+        for (const player of game.players.values()) {
+          room.sendTo(player.id, {
+            type: 'CARD_DRAWN',
+            data: { playerId: player.id, card: player.hand[0] }
+          });
+        }
+        drawCardForCurrentPlayer(room);
+      }, 2000);
+    }
+  } else {
+    game.nextPlayer();
+    drawCardForCurrentPlayer(room);
+  }
+}
+
+function endLoveLetterGame(room) {
+  const game = room.game;
+  // 沒有人拿滿信物就結束，表示對手都離開了：由留下的玩家獲勝
+  const gameWinner = game.getGameWinner() || [...game.players.values()][0];
+  const replayId = uuidv4().slice(0, 8).toUpperCase();
+  room.broadcast({
+    type: 'GAME_END',
+    data: { winner: gameWinner.id, winnerName: gameWinner.name, replayId }
+  });
+  room.saveReplay(replayId);
+}
+
+// ============================================
+// 連線訊息
+// ============================================
+
+function joinRoom(conn, data) {
+  const { playerName, sessionToken } = data;
+
+  // 每個連線只能綁定一個座位
+  if (conn.playerId) {
+    conn.send({ type: 'ERROR', data: { message: '你已經在房間中' } });
+    return;
+  }
+
+  // 以伺服器發出的憑證找回斷線中的座位
+  const reconnect = hub.findReconnectSession(sessionToken, GAME_ID);
+  if (reconnect && hub.getRoom(reconnect.roomId)) {
+    const room = hub.restoreSeat(conn, reconnect);
+    const playerId = conn.playerId;
+
+    // 補發完整狀態：手牌、棄牌堆、信物、目前回合與待處理的選擇
+    conn.send({
+      type: 'RECONNECTED',
+      data: {
+        playerId,
+        sessionToken,
+        roomId: room.roomId,
+        timeLeft: room.hasTimer('turn') ? room.game.turnTimeLeft : null,
+        state: room.game.getPlayerView(playerId),
+        legalMoves: room.game.getLegalMoves(playerId)
+      }
+    });
+
+    room.broadcast({
+      type: 'PLAYER_RECONNECTED',
+      data: { playerId, playerName: reconnect.disconnectInfo.playerData.name }
+    });
+    return;
+  }
+
+  const roomId = conn.roomId;
+  let room = hub.getRoom(roomId);
+  if (!room) {
+    // 不接受 seed：開房的人知道種子就能事先算出整副牌的順序
+    room = hub.createRoom(roomId, GAME_ID, {
+      ruleset: data.ruleset,
+      timeoutPolicy: data.timeoutPolicy,
+      spectatorDelay: data.spectatorDelay
+    });
+    console.log(`[Love Letter] Created room ${roomId}`);
+  }
+  const newPlayerId = uuidv4();
+
+  if (room.addPlayer(newPlayerId, playerName, conn.ws)) {
+    conn.playerId = newPlayerId;
+    conn.room = room;
+
+    conn.send({
+      type: 'JOINED_ROOM',
+      data: {
+        playerId: newPlayerId,
+        sessionToken: hub.createSession(newPlayerId, roomId, GAME_ID),
+        roomId,
+        ruleset: room.game.ruleset
+      }
+    });
+
+    room.broadcast({
+      type: 'PLAYER_JOINED',
+      data: {
+        playerId: newPlayerId,
+        playerName,
+        playerCount: room.game.playerCount,
+        maxPlayers: room.game.maxPlayers,
+        ruleset: room.game.ruleset
+      }
+    });
+  } else {
+    conn.send({ type: 'ERROR', data: { message: '房間已滿' } });
+  }
+}
+
+// 動作一律以連線綁定的座位執行，忽略訊息中的 playerId
+function forwardAction(conn, data, msg) {
+  if (conn.room && conn.playerId) {
+    handleGameAction(conn.room, msg.type, data, conn.playerId);
+  }
+}
+
+function sendState(conn) {
+  if (conn.room && conn.playerId) {
+    conn.send({
+      type: 'STATE',
+      data: {
+        state: conn.room.game.getPlayerView(conn.playerId),
+        legalMoves: conn.room.game.getLegalMoves(conn.playerId)
+      }
+    });
+  }
+}
+
+function leaveRoom(conn) {
+  const room = conn.room;
+  if (room && conn.playerId) {
+    const player = room.game.players.get(conn.playerId);
+    hub.revokeSessions(conn.playerId);
+    removeSeat(room, conn.playerId, player?.name);
+    conn.playerId = null;
+    conn.room = null;
+  }
+}
+
+// 玩家離開座位（主動離開或斷線超時），房間只剩電腦玩家時刪除
+function removeSeat(room, playerId, playerName) {
+  const game = room.game;
+  const player = game.players.get(playerId);
+
+  // 回合進行中：先讓玩家出局（手牌進棄牌堆），移除座位後再照正常流程繼續
+  const inRound = game.phase === 'PLAYING' && player && !player.eliminated;
+  const waitingOn = game.pendingAction ? game.pendingAction.playerId : game.getCurrentPlayer()?.id;
+  const wasActing = inRound && waitingOn === playerId;
+  const timeLeft = room.hasTimer('turn') ? game.turnTimeLeft : null;
+  if (inRound) {
+    const handsBefore = snapshotHands(game);
+    game.eliminatePlayer(player);
+    if (wasActing) game.pendingAction = null;
+    room.broadcast({
+      type: 'CARD_PLAYED',
+      data: { playerId, cardType: null, result: `${player.name} 離開房間，出局` }
+    });
+    sendHandUpdates(room, handsBefore, 'LEFT');
+  }
+
+  room.removePlayer(playerId);
+  room.broadcast({
+    type: 'PLAYER_LEFT',
+    data: { playerId, playerName }
+  });
+  hub.deleteRoomIfEmpty(room);
+  if (!hub.isActive(room)) return;
+
+  // 回合之間有人離開、剩下的人數不夠再發一局：取消下一局，直接結束這場
+  if (game.phase === 'ROUND_END' && game.playerCount < game.minPlayers) {
+    room.clearTimer('round');
+    game.phase = 'GAME_OVER';
+    endLoveLetterGame(room);
+    return;
+  }
+  if (!inRound) return;
+
+  if (wasActing || game.getActivePlayers().length <= 1) {
+    // 輪到的就是離開的玩家，或只剩一人存活：換下一位或結算回合
+    room.clearTimer('turn');
+    checkRoundEnd(room);
+  } else if (timeLeft !== null) {
+    // removePlayer 會取消回合倒數，目前玩家的剩餘時間照舊
+    startLoveLetterTurnTimer(room, timeLeft);
+  }
+}
+
+// 通知其他玩家（但不移除）
+function onDisconnect(room, playerId, { playerName, reconnectTimeoutMs }) {
+  room.broadcast({
+    type: 'PLAYER_DISCONNECTED',
+    data: { playerId, playerName, reconnectTimeoutMs }
+  });
+}
+
+module.exports = {
+  id: GAME_ID,
+  name: 'Love Letter 情書',
+  minPlayers: 2,
+  maxPlayers: Math.max(...Object.values(RULESETS).map(r => r.maxPlayers)),
+  settings: SETTINGS,
+  legacyFormat: 'data', // 舊版訊息的欄位放在 data 底下
+  isDefault: true, // 連線網址沒有指定遊戲時使用
+
+  setup(serverHub) {
+    hub = serverHub;
+  },
+
+  createGame(roomId, settings) {
+    return new LoveLetterGame(roomId, settings);
+  },
+
+  getPlayerView(game, playerId) {
+    return game.getPlayerView(playerId);
+  },
+
+  messages: {
+    JOIN_ROOM: {
+      schema: {
+        playerName: { type: 'string', maxLength: NAME_MAX_LENGTH },
+        sessionToken: { type: 'string', maxLength: TOKEN_MAX_LENGTH },
+        ...SETTINGS
+      },
+      handler: joinRoom
+    },
+    START_GAME: forwardAction,
+    PLAY_CARD: {
+      schema: {
+        cardIndex: { type: 'integer', required: true, min: 0, max: 1 },
+        targetId: { type: 'string' },
+        secondTargetId: { type: 'string' },
+        guessType: { type: 'string' }
+      },
+      handler: forwardAction
+    },
+    CHANCELLOR_CHOICE: {
+      schema: {
+        keepIndex: { type: 'integer', required: true, min: 0 },
+        returnOrder: { type: 'array' }
+      },
+      handler: forwardAction
+    },
+    BISHOP_CHOICE: {
+      schema: { discard: { type: 'boolean' } },
+      handler: forwardAction
+    },
+    ADD_BOT: {
+      schema: { difficulty: { type: 'enum', values: Object.keys(BOT_DIFFICULTIES) } },
+      handler: forwardAction
+    },
+    REMOVE_BOT: {
+      schema: { playerId: { type: 'string', required: true } },
+      handler: forwardAction
+    },
+    GET_STATE: sendState,
+    LEAVE_ROOM: leaveRoom
+  },
+
+  describeRoom(room) {
+    return { ruleset: room.game.ruleset };
+  },
+
+  replayMeta(room) {
+    return { seed: room.game.seed, ruleset: room.game.ruleset };
+  },
+
+  onDisconnect,
+  onReconnectTimeout: removeSeat
+};
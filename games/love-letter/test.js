@@ -0,0 +1,765 @@
+/**
+ * Love Letter 遊戲測試
+ * 規則與卡牌效果的單元測試
+ */
+
+const { LoveLetterGame, RULESETS, LoveLetterBot } = require('./index.js');
+const { TestRunner, assert, assertEqual, assertArrayLength } = require('../test-runner');
+
+// 測試輔助：建立已加入玩家的遊戲
+function createGame(playerCount, ruleset) {
+  const game = new LoveLetterGame('test-room', { ruleset });
+  for (let i = 1; i <= playerCount; i++) {
+    game.addPlayer(`player${i}`, `P${i}`);
+  }
+  return game;
+}
+
+function makeCard(game, type, id) {
+  return { id, type, value: game.cardTypes[type].value };
+}
+
+// 建立測試套件
+const runner = new TestRunner('Love Letter');
+
+// ============================================================
+// 規則版本測試
+// ============================================================
+
+runner.test('Default ruleset is classic', () => {
+  const game = new LoveLetterGame('test-room');
+
+  assertEqual(game.ruleset, 'classic', 'Default ruleset should be classic');
+  assertEqual(game.maxPlayers, 4, 'Classic should allow 4 players');
+});
+
+runner.test('Unknown ruleset falls back to classic', () => {
+  const game = new LoveLetterGame('test-room', { ruleset: 'nope' });
+  assertEqual(game.ruleset, 'classic', 'Unknown ruleset should fall back to classic');
+});
+
+runner.test('Classic deck has 16 cards', () => {
+  const game = createGame(2);
+  game.initDeck();
+  assertArrayLength(game.deck, 16, 'Classic deck should have 16 cards');
+});
+
+runner.test('2019 deck has 21 cards with 6 Guards, 2 Spies and 2 Chancellors', () => {
+  const game = createGame(2, '2019');
+  game.initDeck();
+
+  assertArrayLength(game.deck, 21, '2019 deck should have 21 cards');
+  assertEqual(game.deck.filter(c => c.type === 'GUARD').length, 6, 'Should have 6 Guards');
+  assertEqual(game.deck.filter(c => c.type === 'SPY').length, 2, 'Should have 2 Spies');
+  assertEqual(game.deck.filter(c => c.type === 'CHANCELLOR').length, 2, 'Should have 2 Chancellors');
+  assertEqual(game.deck.find(c => c.type === 'PRINCESS').value, 9, 'Princess should be worth 9');
+});
+
+runner.test('2019 ruleset seats up to 6 players', () => {
+  const game = createGame(6, '2019');
+  assertEqual(game.playerCount, 6, 'Should have 6 players');
+  assertEqual(game.addPlayer('player7', 'P7'), false, 'Should reject 7th player');
+
+  const classic = createGame(4);
+  assertEqual(classic.addPlayer('player5', 'P5'), false, 'Classic should reject 5th player');
+});
+
+runner.test('Tokens to win follow the ruleset table', () => {
+  for (const [count, tokens] of Object.entries(RULESETS['2019'].tokensToWin)) {
+    assertEqual(createGame(Number(count), '2019').tokensToWin, tokens, `2019 with ${count} players`);
+  }
+  assertEqual(createGame(2).tokensToWin, 7, 'Classic 2 players');
+  assertEqual(createGame(4).tokensToWin, 4, 'Classic 4 players');
+});
+
+// ============================================================
+// 洗牌種子測試
+// ============================================================
+
+function playWithSeed(seed) {
+  const game = new LoveLetterGame('test-room', { seed });
+  game.addPlayer('player1', 'P1');
+  game.addPlayer('player2', 'P2');
+  game.startRound();
+  const log = [];
+  for (let turn = 0; turn < 20 && game.getActivePlayers().length > 1 && game.deck.length > 0; turn++) {
+    const player = game.getCurrentPlayer();
+    player.hand.push(game.drawCard());
+    const move = game.getAutoPlay(player);
+    const card = player.hand[move.cardIndex];
+    const result = game.executeCard(player, card, game.players.get(move.targetId), move.guessType);
+    if (game.pendingAction) game.resolvePendingAction(player, game.getAutoPendingChoice());
+    const index = player.hand.indexOf(card);
+    if (index !== -1) player.hand.splice(index, 1);
+    log.push(`${card.type}:${result.message}`);
+    game.nextPlayer();
+  }
+  return log;
+}
+
+runner.test('Same seed deals the same deck', () => {
+  const a = new LoveLetterGame('room-a', { seed: 'table-42' });
+  const b = new LoveLetterGame('room-b', { seed: 'table-42' });
+  a.initDeck();
+  b.initDeck();
+  assertEqual(a.seed, b.seed, 'String seeds should normalise to the same value');
+  assertEqual(JSON.stringify(a.deck), JSON.stringify(b.deck), 'Decks should match');
+
+  const c = new LoveLetterGame('room-c', { seed: 12345 });
+  c.initDeck();
+  assertEqual(c.seed, 12345, 'Numeric seed should be kept');
+  assert(JSON.stringify(a.deck) !== JSON.stringify(c.deck), 'Different seeds should shuffle differently');
+});
+
+runner.test('Deal record captures deck, removed cards and hands', () => {
+  const game = createGame(2);
+  game.startRound();
+  const deal = game.getDealRecord();
+
+  assertArrayLength(deal.removedCards, 4, 'Two-player rounds remove four cards');
+  assertEqual(deal.deck.length, game.deck.length, 'Remaining deck should be recorded');
+  assertEqual(deal.hands.player1[0].id, game.players.get('player1').hand[0].id, 'Starting hands should be recorded');
+
+  game.drawCard();
+  assertEqual(deal.deck.length, game.deck.length + 1, 'Record should be a copy of the deck');
+});
+
+runner.test('Game without a seed still gets one', () => {
+  const game = new LoveLetterGame('test-room');
+  assert(Number.isInteger(game.seed), 'A random seed should be generated and stored');
+});
+
+runner.test('A new game gets a new seed so a published seed cannot predict it', () => {
+  const [game, twin] = [1, 2].map(() => {
+    const table = new LoveLetterGame('test-room', { seed: 777 });
+    table.addPlayer('player1', 'P1');
+    table.addPlayer('player2', 'P2');
+    return table;
+  });
+  game.startRound();
+  twin.startRound();
+
+  game.resetForNewGame();
+  game.startRound();
+  twin.startRound(); // 沿用舊種子的亂數，等於知道種子的人能算出的牌庫
+  assert(game.seed !== 777, 'Seed should change');
+  assert(JSON.stringify(game.deck) !== JSON.stringify(twin.deck), 'Next deck should not follow the old seed');
+});
+
+runner.test('Same seed and same actions play out the same way', () => {
+  const first = playWithSeed(777);
+  const second = playWithSeed(777);
+  assert(first.length > 0, 'Some turns should be played');
+  assertEqual(JSON.stringify(first), JSON.stringify(second), 'Games should be identical');
+});
+
+// ============================================================
+// 回合結算測試
+// ============================================================
+
+runner.test('Highest card wins the round', () => {
+  const game = createGame(3);
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'PRIEST', 100)];
+  p2.hand = [makeCard(game, 'KING', 101)];
+  p3.hand = [makeCard(game, 'BARON', 102)];
+
+  const result = game.determineRoundWinners();
+  assertArrayLength(result.winners, 1, 'Should have one winner');
+  assertEqual(result.winners[0], p2, 'King should win');
+  assertEqual(result.reasonCode, 'HIGHEST_CARD', 'Reason should be highest card');
+});
+
+runner.test('Tied hands are broken by discard total', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'PRINCE', 100)];
+  p2.hand = [makeCard(game, 'PRINCE', 101)];
+  p1.discardPile = [makeCard(game, 'GUARD', 102)];
+  p2.discardPile = [makeCard(game, 'BARON', 103)];
+
+  const result = game.determineRoundWinners();
+  assertEqual(result.winners[0], p2, 'Higher discard total should win');
+  assertEqual(result.reasonCode, 'DISCARD_TOTAL', 'Reason should be discard total');
+});
+
+runner.test('Still tied players all get a token', () => {
+  const game = createGame(3);
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'PRINCE', 100)];
+  p2.hand = [makeCard(game, 'PRINCE', 101)];
+  p3.hand = [makeCard(game, 'GUARD', 102)];
+  p1.discardPile = [makeCard(game, 'PRIEST', 103)];
+  p2.discardPile = [makeCard(game, 'PRIEST', 104)];
+
+  const { winners, reasonCode } = game.scoreRound();
+  assertArrayLength(winners, 2, 'Both tied players should win');
+  assertEqual(reasonCode, 'SHARED', 'Reason should be shared');
+  assertEqual(p1.tokens, 1, 'P1 should get a token');
+  assertEqual(p2.tokens, 1, 'P2 should get a token');
+  assertEqual(p3.tokens, 0, 'P3 should not get a token');
+});
+
+runner.test('Round reveal lists hands, discard totals and removed cards', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.discardPile = [makeCard(game, 'BARON', 100), makeCard(game, 'GUARD', 101)];
+  p2.eliminated = true;
+
+  const reveal = game.getRoundReveal();
+  assertArrayLength(reveal.hands, 1, 'Only surviving hands are revealed');
+  assertEqual(reveal.hands[0].playerId, p1.id, 'Surviving player hand');
+  assertEqual(reveal.discardTotals.find(d => d.playerId === p1.id).total, 4, 'Discard total should be 4');
+  assert(reveal.removedCards.faceDown, 'Face-down card should be revealed');
+  assertArrayLength(reveal.removedCards.faceUp, 3, '2-player game removes 3 face-up cards');
+});
+
+// ============================================================
+// 回合輪替與超時代打測試
+// ============================================================
+
+runner.test('Turn passes to the next seat after the current player is knocked out', () => {
+  const game = createGame(4);
+  game.startRound();
+  const [, p2, p3] = [...game.players.values()];
+
+  game.nextPlayer();
+  assertEqual(game.getCurrentPlayer(), p2, 'P2 should be current');
+  game.eliminatePlayer(p2);
+  game.nextPlayer();
+  assertEqual(game.getCurrentPlayer(), p3, 'P3 should be next, not skipped');
+});
+
+runner.test('Timeout policy defaults to auto-play', () => {
+  assertEqual(new LoveLetterGame('test-room').timeoutPolicy, 'AUTO_PLAY', 'Default policy');
+  assertEqual(new LoveLetterGame('test-room', { timeoutPolicy: 'ELIMINATE' }).timeoutPolicy, 'ELIMINATE', 'Chosen policy');
+});
+
+runner.test('Auto-play avoids the Princess and picks a legal target', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'PRINCESS', 100), makeCard(game, 'GUARD', 101)];
+
+  const move = game.getAutoPlay(p1);
+  assertEqual(move.cardIndex, 1, 'Should play the Guard');
+  assertEqual(move.targetId, p2.id, 'Should target the opponent');
+  assert(move.guessType && move.guessType !== 'GUARD', 'Should guess a non-Guard card');
+});
+
+runner.test('Auto-play respects the Countess rule', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'KING', 100), makeCard(game, 'COUNTESS', 101)];
+
+  assertEqual(game.getAutoPlay(p1).cardIndex, 1, 'Should play the Countess');
+});
+
+runner.test('Auto-play plays a card with no effect when every opponent is protected', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'GUARD', 100), makeCard(game, 'KING', 101)];
+  p2.protected = true;
+
+  const move = game.getAutoPlay(p1);
+  assertEqual(move.cardIndex, 0, 'Guard should be chosen as the lowest card');
+  assertEqual(move.targetId, undefined, 'No target should be chosen');
+});
+
+// ============================================================
+// 合法出牌測試
+// ============================================================
+
+runner.test('Legal moves list targets and Guard guesses for the current player', () => {
+  const game = createGame(3);
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'GUARD', 100), makeCard(game, 'PRINCE', 101)];
+  p3.protected = true;
+
+  const moves = game.getLegalMoves(p1.id);
+  assert(moves.isTurn, 'It should be the first player\'s turn');
+  const [guard, prince] = moves.cards;
+  assertEqual(JSON.stringify(guard.targets), JSON.stringify([p2.id]), 'Guard should only target unprotected opponents');
+  assert(!guard.guesses.includes('GUARD'), 'Guard cannot be guessed');
+  assertEqual(guard.guesses.length, 7, 'All other card types should be guessable');
+  assertEqual(JSON.stringify(prince.targets), JSON.stringify([p1.id, p2.id]), 'Prince may also target self');
+
+  assertEqual(game.getLegalMoves(p2.id).isTurn, false, 'Other players have no legal moves');
+  assertArrayLength(game.getLegalMoves(p2.id).cards, 0, 'Other players should get no cards');
+});
+
+runner.test('Legal moves follow the Countess rule', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'KING', 100), makeCard(game, 'COUNTESS', 101)];
+
+  const [king, countess] = game.getLegalMoves(p1.id).cards;
+  assertEqual(king.playable, false, 'King cannot be played next to the Countess');
+  assert(king.reason, 'A reason should be given');
+  assertEqual(countess.playable, true, 'Countess must be playable');
+});
+
+runner.test('Targeted card has no effect when all opponents are protected', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  const guard = makeCard(game, 'GUARD', 100);
+  p1.hand = [guard, makeCard(game, 'KING', 101)];
+  p2.protected = true;
+
+  const [move] = game.getLegalMoves(p1.id).cards;
+  assertEqual(move.noEffect, true, 'Guard should be flagged as no effect');
+  assertArrayLength(move.targets, 0, 'No targets should be listed');
+
+  const result = game.executeCard(p1, guard, null, null);
+  assert(result.success, 'Playing with no target should succeed');
+  assert(result.noEffect, 'Result should be marked as no effect');
+  assert(!p2.eliminated, 'Protected player should not be affected');
+});
+
+runner.test('Cardinal needs two targets to take effect', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'CARDINAL', 100), makeCard(game, 'GUARD', 101)];
+  p2.protected = true;
+
+  const [cardinal] = game.getLegalMoves(p1.id).cards;
+  assertEqual(cardinal.minTargets, 2, 'Cardinal needs two targets');
+  assertEqual(cardinal.noEffect, true, 'Only self is left, so Cardinal has no effect');
+});
+
+// ============================================================
+// 狀態快照測試
+// ============================================================
+
+runner.test('Public state shows the table but no hands', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.tokens = 2;
+  p2.protected = true;
+  p2.discardPile = [makeCard(game, 'HANDMAID', 100)];
+
+  const state = game.getPublicState();
+  assertEqual(state.phase, 'PLAYING', 'Phase should be reported');
+  assertEqual(state.currentPlayer, p1.id, 'Current player should be reported');
+  assertEqual(state.deckCount, game.deck.length, 'Deck count should be reported');
+  assertArrayLength(state.faceUpCards, 3, '2-player face-up cards should be shown');
+  assertEqual(state.players[0].tokens, 2, 'Tokens should be shown');
+  assertEqual(state.players[1].protected, true, 'Protection should be shown');
+  assertEqual(state.players[1].discardPile[0].type, 'HANDMAID', 'Discard piles should be shown');
+  assertEqual(state.players[0].handCount, 1, 'Hand size should be shown');
+  assert(state.players.every(p => !('hand' in p)), 'No hand should be exposed');
+  assert(!JSON.stringify(state).includes(JSON.stringify(game.removedCards[0])), 'Face-down card stays hidden');
+});
+
+runner.test('Player view adds only that player hand', () => {
+  const game = createGame(3);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+
+  const view = game.getPlayerView(p2.id);
+  assertEqual(view.hand[0], p2.hand[0], 'Own hand should be included');
+  assertArrayLength(view.hand, 1, 'Only own hand should be included');
+  assertEqual(view.currentPlayer, p1.id, 'Public fields should be included');
+});
+
+runner.test('Player view resends a pending prompt only to its owner', () => {
+  const game = createGame(2, '2019');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'PRIEST', 100)];
+  game.executeCard(p1, makeCard(game, 'CHANCELLOR', 101), null);
+
+  const prompt = game.getPlayerView(p1.id).pendingPrompt;
+  assertEqual(prompt.prompt, 'CHANCELLOR_CHOICE', 'Chancellor prompt should be resent');
+  assertArrayLength(prompt.chancellorCards, 2, 'Drawn cards should be resent');
+  assertEqual(game.getPlayerView(p2.id).pendingPrompt, null, 'Other players get no prompt');
+  assertEqual(game.getPlayerView(p2.id).waitingFor, p1.id, 'Other players see who is choosing');
+});
+
+// ============================================================
+// 2019 卡牌效果測試
+// ============================================================
+
+runner.test('Spy bonus goes to the only surviving Spy player', () => {
+  const game = createGame(3, '2019');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+
+  p1.discardPile.push(makeCard(game, 'SPY', 100));
+  assertEqual(game.getSpyBonusPlayer(), p1, 'Only Spy player should get the bonus');
+
+  p2.discardPile.push(makeCard(game, 'SPY', 101));
+  assertEqual(game.getSpyBonusPlayer(), null, 'Two Spy players should cancel out');
+
+  p2.eliminated = true;
+  assertEqual(game.getSpyBonusPlayer(), p1, 'Eliminated Spy player should not count');
+});
+
+runner.test('Guard can guess Spy but not Guard', () => {
+  const game = createGame(2, '2019');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p2.hand = [makeCard(game, 'SPY', 100)];
+  const guard = makeCard(game, 'GUARD', 101);
+
+  assertEqual(game.executeCard(p1, guard, p2, 'GUARD').success, false, 'Guessing Guard should fail');
+  assertEqual(game.executeCard(p1, guard, p2, 'JESTER').success, false, 'Guessing unknown card should fail');
+
+  const result = game.executeCard(p1, guard, p2, 'SPY');
+  assert(result.success, 'Guessing Spy should succeed');
+  assert(p2.eliminated, 'Target holding Spy should be eliminated');
+});
+
+runner.test('Chancellor draws two cards and returns two to the bottom', () => {
+  const game = createGame(2, '2019');
+  game.startRound();
+  const [p1] = [...game.players.values()];
+  const chancellor = makeCard(game, 'CHANCELLOR', 100);
+  const kept = makeCard(game, 'PRIEST', 101);
+  p1.hand = [kept, chancellor];
+  const deckSize = game.deck.length;
+
+  const result = game.executeCard(p1, chancellor, null);
+  assert(result.success, 'Chancellor should succeed');
+  assertArrayLength(result.privateInfo.chancellorCards, 2, 'Should reveal 2 drawn cards');
+  assertEqual(game.pendingAction.type, 'CHANCELLOR', 'Should wait for the choice');
+
+  p1.hand.splice(1, 1); // 伺服器棄掉大臣
+  const [drawn1, drawn2] = result.privateInfo.chancellorCards;
+  const choice = game.resolveChancellor(p1, 0, [2, 1]);
+
+  assert(choice.success, 'Choice should succeed');
+  assertArrayLength(p1.hand, 1, 'Should keep one card');
+  assertEqual(p1.hand[0], kept, 'Should keep the chosen card');
+  assertEqual(game.deck.length, deckSize, 'Deck size should be unchanged');
+  assertEqual(game.deck[0], drawn2, 'First returned card goes to the very bottom');
+  assertEqual(game.deck[1], drawn1, 'Second returned card goes above it');
+  assertEqual(game.pendingAction, null, 'Pending action should be cleared');
+});
+
+runner.test('Chancellor with an empty deck has no effect', () => {
+  const game = createGame(2, '2019');
+  game.startRound();
+  const [p1] = [...game.players.values()];
+  game.deck = [];
+
+  const result = game.executeCard(p1, makeCard(game, 'CHANCELLOR', 100), null);
+  assert(result.success, 'Chancellor should still be playable');
+  assertEqual(game.pendingAction, null, 'Nothing to choose');
+});
+
+runner.test('Chancellor choice rejects bad return orders', () => {
+  const game = createGame(2, '2019');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'PRIEST', 101)];
+  game.executeCard(p1, makeCard(game, 'CHANCELLOR', 100), null);
+
+  assertEqual(game.resolveChancellor(p2, 0).success, false, 'Other player cannot resolve');
+  assertEqual(game.resolveChancellor(p1, 5).success, false, 'Keep index out of range');
+  assertEqual(game.resolveChancellor(p1, 0, [1, 1]).success, false, 'Duplicate indices');
+  assertEqual(game.resolveChancellor(p1, 0, [0, 1]).success, false, 'Kept card cannot be returned');
+});
+
+// ============================================================
+// Premium 卡牌效果測試
+// ============================================================
+
+runner.test('Premium deck has 32 cards and seats 8 players', () => {
+  const game = createGame(8, 'premium');
+  game.initDeck();
+
+  assertArrayLength(game.deck, 32, 'Premium deck should have 32 cards');
+  assertEqual(game.playerCount, 8, 'Should seat 8 players');
+  assertEqual(game.addPlayer('player9', 'P9'), false, 'Should reject 9th player');
+  assertEqual(game.tokensToWin, 4, '8 players need 4 tokens');
+});
+
+runner.test('Premium Guard guesses by number', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p2.hand = [makeCard(game, 'CARDINAL', 100)];
+
+  const result = game.executeCard(p1, makeCard(game, 'GUARD', 101), p2, 'PRIEST');
+  assert(result.success, 'Guess should resolve');
+  assert(p2.eliminated, 'Priest guess should hit the Cardinal (both 2)');
+});
+
+runner.test('Guard targeting the Assassin knocks out the Guard player', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  const guard = makeCard(game, 'GUARD', 100);
+  p1.hand = [guard, makeCard(game, 'PRIEST', 101)];
+  p2.hand = [makeCard(game, 'ASSASSIN', 102)];
+
+  const result = game.executeCard(p1, guard, p2, 'PRINCESS');
+  assert(result.success, 'Guard should resolve');
+  assert(p1.eliminated, 'Guard player should be out');
+  assert(!p2.eliminated, 'Assassin holder should survive');
+  assertEqual(p2.discardPile[0].type, 'ASSASSIN', 'Assassin should be discarded');
+  assertEqual(result.newCardPlayerId, p2.id, 'Assassin holder should draw a new card');
+  assertArrayLength(p2.hand, 1, 'Assassin holder should hold the new card');
+});
+
+runner.test('Jester bonus goes to the player who picked the round winner', () => {
+  const game = createGame(3, 'premium');
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+
+  game.executeCard(p1, makeCard(game, 'JESTER', 100), p2);
+  p3.eliminated = true;
+  p1.hand = [makeCard(game, 'GUARD', 101)];
+  p2.hand = [makeCard(game, 'PRINCESS', 102)];
+
+  const { winners, bonuses } = game.scoreRound();
+  assertEqual(winners[0], p2, 'Princess holder should win');
+  assertEqual(p1.tokens, 1, 'Jester player should gain a token');
+  assertEqual(bonuses[0].reason, 'JESTER', 'Bonus should be reported');
+});
+
+runner.test('Cardinal swaps two hands and reveals one of them', () => {
+  const game = createGame(3, 'premium');
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+  const cardA = makeCard(game, 'KING', 100);
+  const cardB = makeCard(game, 'PRINCE', 101);
+  p2.hand = [cardA];
+  p3.hand = [cardB];
+
+  const result = game.executeCard(p1, makeCard(game, 'CARDINAL', 102), p2, null, { secondTarget: p3 });
+  assert(result.success, 'Cardinal should succeed');
+  assertEqual(p2.hand[0], cardB, 'P2 should hold P3 card');
+  assertEqual(p3.hand[0], cardA, 'P3 should hold P2 card');
+  assertEqual(result.privateInfo.revealedHands[0].cards[0], cardB, 'Should reveal one swapped hand');
+});
+
+runner.test('Cardinal including yourself keeps the played card in place', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  const cardinal = makeCard(game, 'CARDINAL', 100);
+  const mine = makeCard(game, 'BARON', 101);
+  const theirs = makeCard(game, 'HANDMAID', 102);
+  p1.hand = [mine, cardinal];
+  p2.hand = [theirs];
+
+  game.executeCard(p1, cardinal, p1, null, { secondTarget: p2 });
+  assert(p1.hand.includes(cardinal), 'Cardinal should stay with its player');
+  assert(p1.hand.includes(theirs), 'Player should receive the other hand');
+  assertEqual(p2.hand[0], mine, 'Other player should receive the remaining card');
+});
+
+runner.test('Baroness reveals one or two other hands', () => {
+  const game = createGame(3, 'premium');
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+
+  const result = game.executeCard(p1, makeCard(game, 'BARONESS', 100), p2, null, { secondTarget: p3 });
+  assert(result.success, 'Baroness should succeed');
+  assertArrayLength(result.privateInfo.revealedHands, 2, 'Should reveal two hands');
+  assertEqual(game.executeCard(p1, makeCard(game, 'BARONESS', 101), p1).success, false, 'Cannot look at yourself');
+});
+
+runner.test('Sycophant forces the next targeted card', () => {
+  const game = createGame(3, 'premium');
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+
+  assert(game.executeCard(p1, makeCard(game, 'SYCOPHANT', 100), p3).success, 'Sycophant should succeed');
+  const priest = makeCard(game, 'PRIEST', 101);
+  assertEqual(game.executeCard(p2, priest, p1).success, false, 'Must target the Sycophant choice');
+  assert(game.executeCard(p2, priest, p3).success, 'Targeting the chosen player should work');
+  assert(game.executeCard(p2, priest, p1).success, 'Effect lasts for one card only');
+});
+
+runner.test('Count adds to the hand value at round end', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  game.deck = [];
+  p1.hand = [makeCard(game, 'PRINCE', 100)];
+  p2.hand = [makeCard(game, 'CONSTABLE', 102)];
+  assertEqual(game.determineRoundWinners().winners[0], p2, 'Constable (6) should beat the Prince (5)');
+
+  p1.discardPile = [makeCard(game, 'COUNT', 101), makeCard(game, 'COUNT', 103)];
+  assertEqual(game.getRoundScore(p1), 7, 'Prince plus two Counts should be 7');
+  assertEqual(game.determineRoundWinners().winners[0], p1, 'Two Counts should beat the Constable');
+});
+
+runner.test('Princess beats Bishop at round end', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.hand = [makeCard(game, 'BISHOP', 100)];
+  p2.hand = [makeCard(game, 'PRINCESS', 101)];
+
+  assertEqual(game.determineRoundWinners().winners[0], p2, 'Princess should win against Bishop');
+});
+
+runner.test('Constable gives a token when knocked out', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p2.discardPile = [makeCard(game, 'CONSTABLE', 100)];
+  p2.hand = [makeCard(game, 'PRIEST', 101)];
+
+  const result = game.executeCard(p1, makeCard(game, 'GUARD', 102), p2, 'PRIEST');
+  assert(p2.eliminated, 'Target should be out');
+  assertEqual(p2.tokens, 1, 'Constable should give a token');
+  assert(result.message.includes('警衛隊長'), 'Message should mention the Constable');
+});
+
+runner.test('Dowager Queen knocks out the higher card', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  const queen = makeCard(game, 'DOWAGER_QUEEN', 100);
+  p1.hand = [queen, makeCard(game, 'GUARD', 101)];
+  p2.hand = [makeCard(game, 'KING', 102)];
+
+  game.executeCard(p1, queen, p2);
+  assert(!p1.eliminated, 'Lower card should stay');
+  assert(p2.eliminated, 'Higher card should be out');
+});
+
+runner.test('Baron reveals both compared cards to both duelists', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  const baron = makeCard(game, 'BARON', 100);
+  const mine = makeCard(game, 'PRIEST', 101);
+  const theirs = makeCard(game, 'PRINCE', 102);
+  p1.hand = [baron, mine];
+  p2.hand = [theirs];
+
+  const result = game.executeCard(p1, baron, p2);
+  assert(p1.eliminated, 'Lower card should be out');
+  const { hands } = result.privateInfo.comparison;
+  assertEqual(hands[0].card, mine, 'Player card should be revealed');
+  assertEqual(hands[1].card, theirs, 'Target card should be revealed');
+  assertEqual(result.targetInfo.playerId, p2.id, 'Target should get the reveal too');
+  assertEqual(result.targetInfo.data.comparison, result.privateInfo.comparison, 'Both see the same comparison');
+});
+
+runner.test('Bishop scores a token and lets the target redraw', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  const old = makeCard(game, 'BARON', 100);
+  p2.hand = [old];
+
+  const result = game.executeCard(p1, makeCard(game, 'BISHOP', 101), p2, 'BARONESS');
+  assert(result.success, 'Bishop should resolve');
+  assertEqual(p1.tokens, 1, 'Bishop player should gain a token');
+  assertEqual(result.targetInfo.playerId, p2.id, 'Target should be prompted');
+  assertEqual(game.pendingAction.type, 'BISHOP', 'Should wait for the target');
+
+  assertEqual(game.resolvePendingAction(p1, { discard: true }).success, false, 'Only the target may answer');
+  const choice = game.resolvePendingAction(p2, { discard: true });
+  assert(choice.success, 'Target choice should succeed');
+  assertEqual(p2.discardPile[0], old, 'Old card should be discarded');
+  assertEqual(choice.newCardPlayerId, p2.id, 'Target should draw a new card');
+  assertEqual(game.pendingAction, null, 'Pending action should be cleared');
+});
+
+runner.test('Bishop token that reaches the goal wins the game immediately', () => {
+  const game = createGame(2, 'premium');
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  p1.tokens = game.tokensToWin - 1;
+  p2.hand = [makeCard(game, 'BARON', 100)];
+
+  const result = game.executeCard(p1, makeCard(game, 'BISHOP', 101), p2, 'BARONESS');
+  assert(result.gameOver, 'Result should report the win');
+  assertEqual(game.phase, 'GAME_OVER', 'Game should be over');
+  assertEqual(game.getGameWinner(), p1, 'Bishop player should win');
+  assertEqual(game.pendingAction, null, 'Target should not be asked to redraw');
+});
+
+// ============================================================
+// 電腦玩家測試
+// ============================================================
+
+function createBot(game, playerId, difficulty) {
+  return new LoveLetterBot(playerId, difficulty, {
+    cardTypes: game.cardTypes,
+    guessByValue: RULESETS[game.ruleset].guessByValue
+  }, 1);
+}
+
+runner.test('Bot players are labelled in the public state', () => {
+  const game = createGame(1);
+  game.addPlayer('bot-1', 'Robo (Bot)', { isBot: true });
+
+  const [human, bot] = game.getPublicState().players;
+  assertEqual(human.isBot, false, 'Human should not be labelled');
+  assertEqual(bot.isBot, true, 'Bot should be labelled');
+});
+
+runner.test('Bot guards the card a Priest revealed', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1, p2] = [...game.players.values()];
+  const bot = createBot(game, p1.id, 'hard');
+
+  bot.lastMove = { cardIndex: 0, targetId: p2.id };
+  bot.observePrivate({ targetCard: makeCard(game, 'PRINCE', 100) });
+  p1.hand = [makeCard(game, 'GUARD', 101), makeCard(game, 'HANDMAID', 102)];
+
+  const move = bot.chooseMove(game.getPlayerView(p1.id), game.getLegalMoves(p1.id));
+  assertEqual(move.cardIndex, 0, 'Bot should play the Guard');
+  assertEqual(move.targetId, p2.id, 'Bot should target the revealed player');
+  assertEqual(move.guessType, 'PRINCE', 'Bot should guess the revealed card');
+});
+
+runner.test('Bot forgets a revealed card once it leaves the hand', () => {
+  const game = createGame(3);
+  game.startRound();
+  const [p1, p2, p3] = [...game.players.values()];
+  const bot = createBot(game, p1.id, 'normal');
+
+  bot.learn(p2.id, 'BARON');
+  bot.observePlay({ playerId: p3.id, cardType: 'KING', targetId: p2.id });
+  assertEqual(bot.known.get(p3.id), 'BARON', 'King swap should move the known card');
+  assertEqual(bot.known.has(p2.id), false, 'Swapped player is no longer known');
+
+  bot.observePlay({ playerId: p3.id, cardType: 'BARON', targetId: p1.id });
+  assertEqual(bot.known.has(p3.id), false, 'Playing the known card should forget it');
+});
+
+runner.test('Bot only picks legal plays and keeps the Princess', () => {
+  const game = createGame(2);
+  game.startRound();
+  const [p1] = [...game.players.values()];
+  const bot = createBot(game, p1.id, 'easy');
+
+  for (let i = 0; i < 10; i++) {
+    p1.hand = [makeCard(game, 'PRINCESS', 100), makeCard(game, 'GUARD', 101)];
+    assertEqual(bot.chooseMove(game.getPlayerView(p1.id), game.getLegalMoves(p1.id)).cardIndex, 1, 'Princess should be kept');
+
+    p1.hand = [makeCard(game, 'KING', 102), makeCard(game, 'COUNTESS', 103)];
+    assertEqual(bot.chooseMove(game.getPlayerView(p1.id), game.getLegalMoves(p1.id)).cardIndex, 1, 'Countess must be played');
+  }
+});
+
+// ============================================================
+// 運行所有測試
+// ============================================================
+
+(async () => {
+  const success = await runner.run();
+  process.exit(success ? 0 : 1);
+})();
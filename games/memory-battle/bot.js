@@ -0,0 +1,100 @@
+/**
+ * Memory Battle 電腦玩家
+ * 依難度記住翻開過的牌（有機率記不住、也會慢慢忘記），再挑要翻的牌
+ */
+
+const { createRandom } = require('../random');
+
+// 難度：recall 翻開時記住的機率；forget 每回合忘掉一張記憶的機率；thinkMs 每次翻牌前的思考時間
+const BOT_DIFFICULTIES = {
+  easy: { recall: 0.5, forget: 0.25, thinkMs: [900, 1800] },
+  normal: { recall: 0.8, forget: 0.1, thinkMs: [700, 1400] },
+  hard: { recall: 0.95, forget: 0.02, thinkMs: [500, 1000] },
+};
+
+const DEFAULT_BOT_DIFFICULTY = 'normal';
+
+const BOT_NAMES = ['Ada', 'Byte', 'Chip', 'Pixel', 'Robo', 'Sprocket'];
+
+class MemoryBattleBot {
+  constructor(playerId, difficulty = DEFAULT_BOT_DIFFICULTY, seed) {
+    this.playerId = playerId;
+    this.difficulty = BOT_DIFFICULTIES[difficulty] ? difficulty : DEFAULT_BOT_DIFFICULTY;
+    this.random = createRandom(seed);
+    this.memory = new Map(); // cardIndex -> symbolId
+  }
+
+  get settings() {
+    return BOT_DIFFICULTIES[this.difficulty];
+  }
+
+  // 新的一局，清空記憶
+  reset() {
+    this.memory.clear();
+  }
+
+  // 看到翻開的牌，依難度決定有沒有記住
+  observe(cardIndex, symbolId) {
+    if (this.random() < this.settings.recall) {
+      this.memory.set(cardIndex, symbolId);
+    }
+  }
+
+  // 確定知道的牌（偷看道具）
+  remember(cardIndex, symbolId) {
+    this.memory.set(cardIndex, symbolId);
+  }
+
+  // 已配對或被洗牌的位置不再有意義
+  forget(cardIndices) {
+    cardIndices.forEach(index => this.memory.delete(index));
+  }
+
+  // 每回合開始時，每張記憶都有機率被忘掉
+  decay() {
+    for (const index of [...this.memory.keys()]) {
+      if (this.random() < this.settings.forget) {
+        this.memory.delete(index);
+      }
+    }
+  }
+
+  // 每次翻牌前的思考時間（毫秒）
+  getThinkDelay() {
+    const [min, max] = this.settings.thinkMs;
+    return Math.round(min + this.random() * (max - min));
+  }
+
+  /**
+   * 挑選要翻的牌
+   * @param {number[]} cardIndices - 可以翻的牌
+   * @param {{ cardIndex: number, symbolId: number }|null} firstCard - 這回合已翻開的第一張
+   */
+  chooseCard(cardIndices, firstCard = null) {
+    const known = cardIndices.filter(index => this.memory.has(index));
+    const unknown = cardIndices.filter(index => !this.memory.has(index));
+
+    if (firstCard) {
+      // 記得另一張就翻它
+      const partner = known.find(index => this.memory.get(index) === firstCard.symbolId);
+      if (partner !== undefined) return partner;
+    } else {
+      // 記得一整組就先翻其中一張
+      for (const index of known) {
+        const pair = known.find(other => other !== index && this.memory.get(other) === this.memory.get(index));
+        if (pair !== undefined) return index;
+      }
+    }
+
+    // 不知道就翻一張沒看過的牌，避免浪費機會
+    const pool = unknown.length > 0 ? unknown : cardIndices;
+    return pool[Math.floor(this.random() * pool.length)];
+  }
+}
+
+module.exports = {
+  MemoryBattleBot,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_NAMES,
+};
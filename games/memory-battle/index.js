@@ -5,7 +5,10 @@
  * 版本: 1.0.0
  */
 
-// 卡片符號
+const { normalizeSeed, createRandom, shuffle } = require('../random');
+const { MemoryBattleBot, BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY, BOT_NAMES } = require('./bot');
+
+// 卡片符號（預設主題）
 const CARD_SYMBOLS = [
   { id: 0, symbol: '🦊', name: 'Fox' },
   { id: 1, symbol: '🐺', name: 'Wolf' },
@@ -27,70 +30,229 @@ const CARD_SYMBOLS = [
   { id: 17, symbol: '💧', name: 'Water' },
 ];
 
-// 棋盤配置
+/**
+ * 把 emoji 清單轉成卡片符號
+ */
+function toSymbols(entries) {
+  return entries.map(([symbol, name], id) => ({ id, symbol, name }));
+}
+
+// 卡片主題：type 告訴前端牌面是 emoji、文字還是圖片 ID
+const THEMES = {
+  classic: { type: 'emoji', symbols: CARD_SYMBOLS },
+  animals: {
+    type: 'emoji',
+    symbols: toSymbols([
+      ['🐶', 'Dog'], ['🐱', 'Cat'], ['🐭', 'Mouse'], ['🐹', 'Hamster'], ['🐰', 'Rabbit'],
+      ['🦊', 'Fox'], ['🐻', 'Bear'], ['🐼', 'Panda'], ['🐨', 'Koala'], ['🐯', 'Tiger'],
+      ['🦁', 'Lion'], ['🐮', 'Cow'], ['🐷', 'Pig'], ['🐸', 'Frog'], ['🐵', 'Monkey'],
+      ['🐔', 'Chicken'], ['🐧', 'Penguin'], ['🐦', 'Bird'], ['🦆', 'Duck'], ['🦉', 'Owl'],
+      ['🐺', 'Wolf'], ['🐗', 'Boar'], ['🐴', 'Horse'], ['🦄', 'Unicorn'], ['🐝', 'Bee'],
+      ['🐢', 'Turtle'], ['🐍', 'Snake'], ['🐙', 'Octopus'], ['🦀', 'Crab'], ['🐬', 'Dolphin'],
+      ['🐳', 'Whale'], ['🦒', 'Giraffe'],
+    ]),
+  },
+  fantasy: {
+    type: 'emoji',
+    symbols: toSymbols([
+      ['🐉', 'Dragon'], ['🧙', 'Wizard'], ['🧚', 'Fairy'], ['🧜', 'Merperson'], ['🧝', 'Elf'],
+      ['🧛', 'Vampire'], ['🧟', 'Zombie'], ['🧞', 'Genie'], ['🦄', 'Unicorn'], ['👑', 'Crown'],
+      ['🔮', 'Crystal Ball'], ['🗡️', 'Sword'], ['🛡️', 'Shield'], ['🏰', 'Castle'], ['🏹', 'Bow'],
+      ['🪄', 'Wand'], ['📜', 'Scroll'], ['💎', 'Gem'], ['🧪', 'Potion'], ['🗝️', 'Key'],
+      ['🌙', 'Moon'], ['⭐', 'Star'], ['🔥', 'Fire'], ['💀', 'Skull'],
+    ]),
+  },
+  flags: {
+    type: 'emoji',
+    symbols: toSymbols([
+      ['🇹🇼', 'Taiwan'], ['🇯🇵', 'Japan'], ['🇰🇷', 'Korea'], ['🇺🇸', 'United States'], ['🇨🇦', 'Canada'],
+      ['🇲🇽', 'Mexico'], ['🇧🇷', 'Brazil'], ['🇦🇷', 'Argentina'], ['🇬🇧', 'United Kingdom'], ['🇫🇷', 'France'],
+      ['🇩🇪', 'Germany'], ['🇮🇹', 'Italy'], ['🇪🇸', 'Spain'], ['🇵🇹', 'Portugal'], ['🇳🇱', 'Netherlands'],
+      ['🇧🇪', 'Belgium'], ['🇨🇭', 'Switzerland'], ['🇸🇪', 'Sweden'], ['🇳🇴', 'Norway'], ['🇫🇮', 'Finland'],
+      ['🇩🇰', 'Denmark'], ['🇵🇱', 'Poland'], ['🇬🇷', 'Greece'], ['🇹🇷', 'Turkey'], ['🇮🇳', 'India'],
+      ['🇹🇭', 'Thailand'], ['🇻🇳', 'Vietnam'], ['🇮🇩', 'Indonesia'], ['🇦🇺', 'Australia'], ['🇳🇿', 'New Zealand'],
+      ['🇿🇦', 'South Africa'], ['🇪🇬', 'Egypt'],
+    ]),
+  },
+  numbers: {
+    type: 'text',
+    symbols: Array.from({ length: 32 }, (_, id) => ({ id, symbol: String(id + 1), name: String(id + 1) })),
+  },
+  // 自訂主題：由玩家提供圖片 ID 清單
+  custom: { type: 'image', symbols: [] },
+};
+
+const DEFAULT_THEME = 'classic';
+
+// 常用棋盤配置（也可以使用其他「列x行」的偶數張棋盤）
 const GRID_CONFIGS = {
   '4x4': { rows: 4, cols: 4, totalCards: 16, totalPairs: 8 },
   '4x6': { rows: 4, cols: 6, totalCards: 24, totalPairs: 12 },
   '6x6': { rows: 6, cols: 6, totalCards: 36, totalPairs: 18 },
 };
 
+// 棋盤限制
+const MIN_GRID_SIDE = 2;
+const MAX_GRID_SIDE = 8;
+
+// 自訂圖片 ID 限制
+const MAX_CUSTOM_SYMBOLS = 64;
+const CUSTOM_SYMBOL_PATTERN = /^[\w.:-]{1,64}$/;
+
 // 回合時間限制（秒）
 const TURN_TIME_LIMIT = 30;
 
+// 遊戲模式：classic 純配對；battle 有道具牌，配對成功時觸發效果；solo 單人計時賽
+const MODES = ['classic', 'battle', 'solo'];
+
+// 單人計時賽計分：每組牌的分數，扣掉多翻的次數與花費的秒數
+const SOLO_SCORING = {
+  PAIR_POINTS: 100,
+  EXTRA_FLIP_PENALTY: 5,
+  SECOND_PENALTY: 2,
+};
+
+// 道具效果
+const POWER_UPS = {
+  PEEK: { name: 'Peek', icon: '👁️' }, // 偷看一張隨機的蓋牌
+  SHUFFLE: { name: 'Shuffle', icon: '🌀' }, // 重洗所有未配對的牌
+  STEAL: { name: 'Steal', icon: '🦝' }, // 從分數最高的對手偷 1 分
+  FREEZE: { name: 'Freeze', icon: '🧊' }, // 下一位對手跳過一回合
+  EXTRA_TIME: { name: 'Extra Time', icon: '⏳' }, // 本回合多 15 秒
+};
+
+// 道具牌數量：每 4 組牌有 1 組道具牌
+const PAIRS_PER_POWER_UP = 4;
+
+// 加時道具的秒數
+const EXTRA_TIME_SECONDS = 15;
+
+// 卡背樣式（蓋著的牌只送這個值，不透露牌面）
+const CARD_BACK = 'classic';
+
+// 每桌人數（2 人對戰，最多 4 人同桌）
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+
 /**
- * 洗牌函數
+ * 解析「列x行」棋盤大小，不合法（超出範圍或奇數張）時回傳 null
  */
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+function getGridConfig(gridSize) {
+  if (GRID_CONFIGS[gridSize]) return GRID_CONFIGS[gridSize];
+
+  const match = /^(\d+)x(\d+)$/.exec(String(gridSize));
+  if (!match) return null;
+
+  const rows = Number(match[1]);
+  const cols = Number(match[2]);
+  const inRange = side => side >= MIN_GRID_SIDE && side <= MAX_GRID_SIDE;
+  if (!inRange(rows) || !inRange(cols) || (rows * cols) % 2 !== 0) return null;
+
+  return { rows, cols, totalCards: rows * cols, totalPairs: (rows * cols) / 2 };
+}
+
+/**
+ * 取得主題的卡片符號，自訂主題使用玩家提供的圖片 ID
+ */
+function getThemeSymbols(theme, customSymbols) {
+  if (theme !== 'custom') return THEMES[theme].symbols;
+  return [...new Set(customSymbols)].map((imageId, id) => ({ id, symbol: imageId, name: imageId }));
+}
+
+/**
+ * 檢查棋盤大小與主題，回傳錯誤訊息；合法時回傳 null
+ */
+function validateBoard(gridSize, theme = DEFAULT_THEME, customSymbols = []) {
+  const config = getGridConfig(gridSize);
+  if (!config) {
+    return `Invalid grid size: use an even number of cards, ${MIN_GRID_SIDE}-${MAX_GRID_SIDE} per side`;
+  }
+  if (!THEMES[theme]) {
+    return `Unknown theme: ${theme}`;
+  }
+  if (theme === 'custom') {
+    const validIds = Array.isArray(customSymbols) && customSymbols.length <= MAX_CUSTOM_SYMBOLS &&
+      customSymbols.every(imageId => typeof imageId === 'string' && CUSTOM_SYMBOL_PATTERN.test(imageId));
+    if (!validIds) {
+      return `Custom theme needs up to ${MAX_CUSTOM_SYMBOLS} image ids (letters, digits, _ . : -)`;
+    }
   }
-  return shuffled;
+
+  const available = getThemeSymbols(theme, customSymbols).length;
+  if (available < config.totalPairs) {
+    return `Theme ${theme} has ${available} symbols, grid ${gridSize} needs ${config.totalPairs}`;
+  }
+  return null;
 }
 
 /**
  * 生成遊戲卡片
+ * @param {Object[]} symbols - 主題的卡片符號
+ * @param {Function} random - 遊戲的亂數產生器（同樣的種子產生同樣的牌面）
  */
-function generateCards(gridSize) {
-  const config = GRID_CONFIGS[gridSize] || GRID_CONFIGS['4x4'];
+function generateCards(gridSize, symbols, random) {
+  const config = getGridConfig(gridSize) || GRID_CONFIGS['4x4'];
   const numPairs = config.totalPairs;
-  const selectedSymbols = shuffleArray(CARD_SYMBOLS).slice(0, numPairs);
+  const selectedSymbols = shuffle(symbols, random).slice(0, numPairs);
 
   const cards = [];
-  selectedSymbols.forEach((symbol, index) => {
-    cards.push({
-      id: index * 2,
-      symbolId: symbol.id,
-      symbol: symbol.symbol,
-      isFlipped: false,
-      isMatched: false,
-      matchedBy: null, // 追蹤配對者（玩家索引 0/1）
-    });
-    cards.push({
-      id: index * 2 + 1,
-      symbolId: symbol.id,
-      symbol: symbol.symbol,
-      isFlipped: false,
-      isMatched: false,
-      matchedBy: null, // 追蹤配對者（玩家索引 0/1）
-    });
+  selectedSymbols.forEach(symbol => {
+    for (let copy = 0; copy < 2; copy++) {
+      cards.push({
+        symbolId: symbol.id,
+        symbol: symbol.symbol,
+        isFlipped: false,
+        isMatched: false,
+        matchedBy: null, // 追蹤配對者（玩家索引）
+        powerUp: null, // 對戰模式的道具
+      });
+    }
   });
 
-  return shuffleArray(cards);
+  // 洗牌後才依位置編號：id 會送給所有人，不能看出哪兩張是一對
+  return shuffle(cards, random).map((card, index) => ({ id: index, ...card }));
+}
+
+/**
+ * 對戰模式：隨機挑幾組牌變成道具牌（同一組的兩張是同一種道具）
+ */
+function assignPowerUps(cards, totalPairs, random) {
+  const symbolIds = shuffle([...new Set(cards.map(c => c.symbolId))], random);
+  const types = shuffle(Object.keys(POWER_UPS), random);
+  const count = Math.max(1, Math.floor(totalPairs / PAIRS_PER_POWER_UP));
+
+  symbolIds.slice(0, count).forEach((symbolId, index) => {
+    const type = types[index % types.length];
+    cards.filter(c => c.symbolId === symbolId).forEach(c => {
+      c.powerUp = type;
+    });
+  });
 }
 
 /**
  * Memory Battle 遊戲類別
  */
 class MemoryBattleGame {
-  constructor(roomId) {
+  constructor(roomId, options = {}) {
     this.roomId = roomId;
+    this.seed = normalizeSeed(options.seed); // 這一場的洗牌種子，可在建立房間時指定第一場的種子以重現對局
+    this.random = createRandom(this.seed);
     this.gameName = 'Memory Battle';
-    this.minPlayers = 2;
-    this.maxPlayers = 2;
+    this.mode = MODES.includes(options.mode) ? options.mode : 'classic';
+    // 這桌要湊滿幾人才開始（單人計時賽固定 1 人）
+    const tableSize = Number(options.tableSize);
+    this.minPlayers = this.mode === 'solo' ? 1 : MIN_PLAYERS;
+    this.maxPlayers = this.mode === 'solo' ? 1
+      : tableSize >= MIN_PLAYERS && tableSize <= MAX_PLAYERS ? tableSize : MIN_PLAYERS;
     this.phase = 'WAITING'; // WAITING, PLAYING, FINISHED
+    this.lastPowerUp = null; // 最近一次觸發的道具效果（公開資訊）
+    this.bonusTime = 0; // 加時道具累積的秒數，下次重新計時時加上
+    this.flipCount = 0; // 本局翻牌次數
+    this.startedAt = null; // 本局開始與結束時間（單人計時賽計分用）
+    this.finishedAt = null;
     this.gridSize = '4x4';
+    this.theme = DEFAULT_THEME;
+    this.customSymbols = [];
     this.cards = [];
     this.players = new Map();
     this.currentPlayerIndex = 0;
@@ -99,13 +261,21 @@ class MemoryBattleGame {
     this.totalPairs = 8;
     this.turnTimeLeft = TURN_TIME_LIMIT;
     this.turnTimer = null;
+    this.rematchVotes = new Map(); // playerId -> 是否同意重賽
+    this.rematchDeadline = null; // 重賽投票截止時間，沒有進行中的投票時為 null
+    this.disconnected = new Map(); // 對局中斷線的玩家 -> 重連截止時間
+    this.pausedAt = null; // 有人斷線時暫停，全員回來才繼續
+  }
+
+  get isPaused() {
+    return this.pausedAt !== null;
   }
 
   get playerCount() {
     return this.players.size;
   }
 
-  addPlayer(playerId, playerName) {
+  addPlayer(playerId, playerName, { isBot = false } = {}) {
     if (this.players.size >= this.maxPlayers) {
       return false;
     }
@@ -113,16 +283,21 @@ class MemoryBattleGame {
     this.players.set(playerId, {
       id: playerId,
       name: playerName,
-      avatar: this.players.size === 0 ? '👤' : '👥',
+      isBot, // 電腦玩家不列入任何排名
+      avatar: isBot ? '🤖' : this.players.size === 0 ? '👤' : '👥',
       score: 0,
       isReady: false,
+      frozen: false, // 被冰凍，下次輪到時跳過
+      forfeited: false, // 斷線沒回來，判定棄權
     });
 
     return true;
   }
 
   removePlayer(playerId) {
-    this.players.delete(playerId);
+    // 棄權時已經移除的座位
+    if (!this.players.delete(playerId)) return;
+    this.rematchVotes.delete(playerId);
     if (this.turnTimer) {
       clearInterval(this.turnTimer);
       this.turnTimer = null;
@@ -133,36 +308,133 @@ class MemoryBattleGame {
   }
 
   setGridSize(gridSize) {
-    if (GRID_CONFIGS[gridSize]) {
+    if (!validateBoard(gridSize, this.theme, this.customSymbols)) {
       this.gridSize = gridSize;
-      this.totalPairs = GRID_CONFIGS[gridSize].totalPairs;
+      this.totalPairs = getGridConfig(gridSize).totalPairs;
     }
   }
 
+  /**
+   * 設定棋盤大小與卡片主題
+   * @returns {{ success: boolean, message?: string }}
+   */
+  setBoard(gridSize, theme = DEFAULT_THEME, customSymbols = []) {
+    const error = validateBoard(gridSize, theme, customSymbols);
+    if (error) {
+      return { success: false, message: error };
+    }
+
+    this.theme = theme;
+    this.customSymbols = theme === 'custom' ? [...new Set(customSymbols)] : [];
+    this.gridSize = gridSize;
+    this.totalPairs = getGridConfig(gridSize).totalPairs;
+    return { success: true };
+  }
+
+  /**
+   * 開局前的準備／取消準備
+   * @returns {{ success: boolean, message?: string, allReady?: boolean }}
+   */
+  setReady(playerId, isReady) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return { success: false, message: 'Player not found' };
+    }
+    if (this.phase !== 'WAITING') {
+      return { success: false, message: 'Game already started' };
+    }
+
+    player.isReady = !!isReady;
+    return { success: true, allReady: this.isEveryoneReady() };
+  }
+
+  // 人數到齊且每個人都按了準備
+  isEveryoneReady() {
+    return this.players.size === this.maxPlayers &&
+      Array.from(this.players.values()).every(p => p.isReady);
+  }
+
+  /**
+   * 對局結束後開放重賽投票
+   * @param {number} deadline - 投票截止時間（毫秒時間戳）
+   */
+  openRematchVote(deadline) {
+    this.rematchVotes.clear();
+    this.rematchDeadline = deadline;
+  }
+
+  /**
+   * 重賽投票：每個人都同意才重開，有人拒絕就取消
+   * @returns {{ success: boolean, message?: string, status?: string }}
+   */
+  voteRematch(playerId, accept) {
+    if (!this.players.has(playerId)) {
+      return { success: false, message: 'Player not found' };
+    }
+    if (this.phase !== 'FINISHED' || this.rematchDeadline === null) {
+      return { success: false, message: 'No rematch vote in progress' };
+    }
+
+    this.rematchVotes.set(playerId, !!accept);
+    return { success: true, status: this.getRematchStatus() };
+  }
+
+  // PENDING = 還在等人投票，ACCEPTED = 全員同意，DECLINED = 有人拒絕或離開
+  getRematchStatus() {
+    const votes = Array.from(this.rematchVotes.values());
+    if (votes.includes(false) || this.players.size < this.maxPlayers) {
+      return 'DECLINED';
+    }
+    return votes.length === this.players.size ? 'ACCEPTED' : 'PENDING';
+  }
+
   startGame() {
-    if (this.players.size !== 2) {
+    if (this.players.size !== this.maxPlayers) {
       console.log('[Memory Battle] Cannot start game: Not enough players', this.players.size);
       return false;
     }
 
     this.phase = 'PLAYING';
+    this.rematchVotes.clear();
+    this.rematchDeadline = null;
+    this.disconnected.clear();
+    this.pausedAt = null;
     this.currentPlayerIndex = 0;
     this.flippedIndices = [];
     this.matchedPairs = 0;
     this.turnTimeLeft = TURN_TIME_LIMIT;
 
+    this.lastPowerUp = null;
+    this.bonusTime = 0;
+    this.flipCount = 0;
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+
     // 重置分數
     for (const player of this.players.values()) {
       player.score = 0;
+      player.frozen = false;
+      player.forfeited = false;
+    }
+
+    // 重賽換一個新的種子：回放會公開上一場的種子，沿用同一條亂數就能推算新的牌面
+    if (this.cards.length > 0) {
+      this.seed = normalizeSeed();
+      this.random = createRandom(this.seed);
     }
 
     // 生成卡片
-    this.cards = generateCards(this.gridSize);
-    this.totalPairs = GRID_CONFIGS[this.gridSize].totalPairs;
+    this.cards = generateCards(this.gridSize, getThemeSymbols(this.theme, this.customSymbols), this.random);
+    this.totalPairs = getGridConfig(this.gridSize).totalPairs;
+    if (this.mode === 'battle') {
+      assignPowerUps(this.cards, this.totalPairs, this.random);
+    }
     
     console.log('[Memory Battle] Game started!', {
       roomId: this.roomId,
+      seed: this.seed,
       gridSize: this.gridSize,
+      theme: this.theme,
       cardsGenerated: this.cards.length,
       totalPairs: this.totalPairs,
       players: Array.from(this.players.keys()),
@@ -171,12 +443,25 @@ class MemoryBattleGame {
     return true;
   }
 
+  // 本局的牌面配置，只寫入對局紀錄、不公開
+  getDealRecord() {
+    return {
+      gridSize: this.gridSize,
+      theme: this.theme,
+      cards: this.cards.map(c => ({ id: c.id, symbolId: c.symbolId, symbol: c.symbol, powerUp: c.powerUp })),
+    };
+  }
+
   getCurrentPlayer() {
     const playerArray = Array.from(this.players.values());
     return playerArray[this.currentPlayerIndex];
   }
 
   flipCard(playerId, cardIndex) {
+    if (this.isPaused) {
+      return { success: false, message: 'Game is paused' };
+    }
+
     // 驗證是否為當前玩家
     const currentPlayer = this.getCurrentPlayer();
     if (!currentPlayer || currentPlayer.id !== playerId) {
@@ -203,6 +488,7 @@ class MemoryBattleGame {
     // 翻牌
     card.isFlipped = true;
     this.flippedIndices.push(cardIndex);
+    this.flipCount++;
 
     return {
       success: true,
@@ -211,12 +497,31 @@ class MemoryBattleGame {
         id: card.id,
         symbol: card.symbol,
         symbolId: card.symbolId,
+        powerUp: card.powerUp,
         isFlipped: true,
         isMatched: false,
       },
     };
   }
 
+  // 列出玩家目前可以翻的卡片索引
+  getLegalMoves(playerId) {
+    const currentPlayer = this.getCurrentPlayer();
+    const isTurn = this.phase === 'PLAYING' && !this.isPaused && !!currentPlayer &&
+      currentPlayer.id === playerId && this.flippedIndices.length < 2;
+
+    return {
+      playerId,
+      isTurn,
+      cardIndices: isTurn
+        ? this.cards.reduce((indices, card, index) => {
+          if (!card.isFlipped && !card.isMatched) indices.push(index);
+          return indices;
+        }, [])
+        : [],
+    };
+  }
+
   checkMatch() {
     if (this.flippedIndices.length !== 2) {
       return null;
@@ -242,9 +547,15 @@ class MemoryBattleGame {
 
       this.flippedIndices = [];
 
+      // 道具牌：配對成功後觸發效果
+      const effect = card1.powerUp && currentPlayer
+        ? this.applyPowerUp(card1.powerUp, currentPlayer)
+        : null;
+
       // 檢查遊戲是否結束
       if (this.matchedPairs === this.totalPairs) {
         this.phase = 'FINISHED';
+        this.finishedAt = Date.now();
       }
 
       return {
@@ -255,6 +566,8 @@ class MemoryBattleGame {
         matchedPairs: this.matchedPairs,
         totalPairs: this.totalPairs,
         isGameOver: this.phase === 'FINISHED',
+        powerUp: effect?.powerUp || null,
+        peek: effect?.peek || null,
       };
     } else {
       // 不配對 - 翻回去
@@ -264,63 +577,310 @@ class MemoryBattleGame {
       this.flippedIndices = [];
 
       // 換回合
-      this.currentPlayerIndex = (this.currentPlayerIndex + 1) % 2;
+      const skippedPlayerIds = this.advanceTurn();
 
       return {
         isMatch: false,
         cardIndices: [idx1, idx2],
+        skippedPlayerIds,
       };
     }
   }
 
+  /**
+   * 最終排名：分數高者在前，同分同名次（如 1、1、3）
+   */
+  getStandings() {
+    // 棄權的玩家不論分數都排在最後
+    const sorted = Array.from(this.players.values())
+      .sort((a, b) => a.forfeited - b.forfeited || b.score - a.score);
+    return sorted.map(player => ({
+      playerId: player.id,
+      name: player.name,
+      isBot: player.isBot,
+      score: player.score,
+      forfeited: player.forfeited,
+      place: sorted.findIndex(p => p.score === player.score && p.forfeited === player.forfeited) + 1,
+    }));
+  }
+
+  /**
+   * 對局中有玩家斷線：暫停時鐘，等他在截止時間前回來
+   * @returns {boolean} 是否因此暫停（不在對局中時不暫停）
+   */
+  pause(playerId, deadline) {
+    if (this.phase !== 'PLAYING' || !this.players.has(playerId)) {
+      return false;
+    }
+
+    this.disconnected.set(playerId, deadline);
+    if (this.pausedAt === null) {
+      this.pausedAt = Date.now();
+    }
+    return true;
+  }
+
+  /**
+   * 斷線的玩家回來了；全員到齊才繼續，暫停的時間不算進單人計時
+   * @returns {boolean} 是否恢復進行
+   */
+  resume(playerId) {
+    if (!this.disconnected.delete(playerId) || this.disconnected.size > 0 || this.pausedAt === null) {
+      return false;
+    }
+
+    if (this.startedAt !== null) {
+      this.startedAt += Date.now() - this.pausedAt;
+    }
+    this.pausedAt = null;
+    return true;
+  }
+
+  /**
+   * 斷線玩家沒有在時限內回來：判定棄權。
+   * 還剩兩位以上玩家時移除他、其他人繼續；否則結束對局，其他玩家獲勝
+   * @returns {boolean} 是否判定棄權（不在對局中時不處理）；對局是否結束看 phase
+   */
+  forfeit(playerId) {
+    const player = this.players.get(playerId);
+    if (!player || this.phase !== 'PLAYING') {
+      return false;
+    }
+
+    const remaining = Array.from(this.players.values()).filter(p => p !== player && !p.forfeited);
+    if (remaining.length >= MIN_PLAYERS) {
+      this.removeSeatMidGame(playerId);
+      this.resume(playerId);
+      return true;
+    }
+
+    player.forfeited = true;
+    this.flippedIndices.forEach(idx => {
+      this.cards[idx].isFlipped = false;
+    });
+    this.flippedIndices = [];
+    this.disconnected.clear();
+    this.pausedAt = null;
+    this.phase = 'FINISHED';
+    this.finishedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * 對局中移除一個座位：配對紀錄與目前回合的座位索引跟著往前挪，輪到他時換下一位
+   */
+  removeSeatMidGame(playerId) {
+    const index = Array.from(this.players.keys()).indexOf(playerId);
+    const wasCurrent = index === this.currentPlayerIndex;
+
+    this.players.delete(playerId);
+    this.rematchVotes.delete(playerId);
+    this.cards.forEach(card => {
+      if (card.matchedBy === index) {
+        card.matchedBy = null;
+      } else if (card.matchedBy > index) {
+        card.matchedBy--;
+      }
+    });
+
+    if (index < this.currentPlayerIndex) {
+      this.currentPlayerIndex--;
+    } else if (wasCurrent) {
+      // 從前一個座位往下輪，翻開的牌蓋回去
+      this.currentPlayerIndex = (index - 1 + this.players.size) % this.players.size;
+      this.switchTurn();
+    }
+  }
+
   getWinner() {
     if (this.phase !== 'FINISHED') return null;
 
+    const standings = this.getStandings();
+    if (standings.length < MIN_PLAYERS) return null;
+
+    // 第一名不只一人就是平手
+    const leaders = standings.filter(s => s.place === 1);
+    if (leaders.length > 1) {
+      return { winner: null, isDraw: true, standings };
+    }
+    return { winner: this.players.get(leaders[0].playerId), isDraw: false, standings };
+  }
+
+  /**
+   * 輪到座位順序的下一位玩家，被冰凍的玩家跳過一次
+   * @returns {string[]} 被跳過的玩家 ID
+   */
+  advanceTurn() {
     const playerArray = Array.from(this.players.values());
-    const [p1, p2] = playerArray;
+    const skippedPlayerIds = [];
+
+    for (let i = 0; i < playerArray.length; i++) {
+      this.currentPlayerIndex = (this.currentPlayerIndex + 1) % playerArray.length;
+      const player = playerArray[this.currentPlayerIndex];
+      if (!player.frozen) break;
+      player.frozen = false;
+      skippedPlayerIds.push(player.id);
+    }
+    return skippedPlayerIds;
+  }
 
-    if (!p1 || !p2) return null;
+  /**
+   * 道具效果
+   * @returns {{ powerUp: Object, peek?: Object }} powerUp 是公開資訊；peek 只給觸發的玩家
+   */
+  applyPowerUp(type, player) {
+    const powerUp = { type, playerId: player.id };
+    let peek = null;
+    const hiddenIndices = this.cards.reduce((indices, card, index) => {
+      if (!card.isMatched && !card.isFlipped) indices.push(index);
+      return indices;
+    }, []);
+
+    switch (type) {
+      case 'PEEK': {
+        if (hiddenIndices.length > 0) {
+          const cardIndex = hiddenIndices[Math.floor(this.random() * hiddenIndices.length)];
+          const card = this.cards[cardIndex];
+          peek = {
+            cardIndex,
+            card: { id: card.id, symbol: card.symbol, symbolId: card.symbolId, powerUp: card.powerUp },
+          };
+          powerUp.cardIndex = cardIndex;
+        }
+        break;
+      }
 
-    if (p1.score > p2.score) {
-      return { winner: p1, isDraw: false };
-    } else if (p2.score > p1.score) {
-      return { winner: p2, isDraw: false };
-    } else {
-      return { winner: null, isDraw: true };
+      case 'SHUFFLE': {
+        // 未配對的牌在原本的位置之間重新排列；id 依新位置重編，否則記住 id 就能追蹤每張牌
+        const shuffled = shuffle(hiddenIndices.map(index => this.cards[index]), this.random);
+        hiddenIndices.forEach((index, i) => {
+          this.cards[index] = { ...shuffled[i], id: index };
+        });
+        powerUp.cardIndices = hiddenIndices;
+        break;
+      }
+
+      case 'STEAL': {
+        const victim = Array.from(this.players.values())
+          .filter(p => p !== player && p.score > 0)
+          .sort((a, b) => b.score - a.score)[0];
+        if (victim) {
+          victim.score--;
+          player.score++;
+          powerUp.fromPlayerId = victim.id;
+        }
+        powerUp.scores = Object.fromEntries(Array.from(this.players.values()).map(p => [p.id, p.score]));
+        break;
+      }
+
+      case 'FREEZE': {
+        const playerArray = Array.from(this.players.values());
+        const seat = playerArray.indexOf(player);
+        const target = playerArray.length > 1 ? playerArray[(seat + 1) % playerArray.length] : null;
+        if (target) {
+          target.frozen = true;
+          powerUp.targetPlayerId = target.id;
+        }
+        break;
+      }
+
+      case 'EXTRA_TIME':
+        this.bonusTime += EXTRA_TIME_SECONDS;
+        powerUp.seconds = EXTRA_TIME_SECONDS;
+        break;
     }
+
+    this.lastPowerUp = powerUp;
+    return { powerUp, peek };
+  }
+
+  /**
+   * 單人計時賽成績：翻得越少、越快完成，分數越高
+   */
+  getSoloResult() {
+    const elapsedMs = (this.finishedAt || Date.now()) - this.startedAt;
+    const extraFlips = Math.max(0, this.flipCount - this.totalPairs * 2);
+    const score = Math.max(0,
+      this.totalPairs * SOLO_SCORING.PAIR_POINTS -
+      extraFlips * SOLO_SCORING.EXTRA_FLIP_PENALTY -
+      Math.floor(elapsedMs / 1000) * SOLO_SCORING.SECOND_PENALTY);
+
+    return {
+      gridSize: this.gridSize,
+      theme: this.theme,
+      flips: this.flipCount,
+      elapsedMs,
+      score,
+    };
+  }
+
+  // 取出加時道具累積的秒數（重新計時時使用）
+  takeBonusTime() {
+    const bonus = this.bonusTime;
+    this.bonusTime = 0;
+    return bonus;
   }
 
   switchTurn() {
-    this.currentPlayerIndex = (this.currentPlayerIndex + 1) % 2;
+    const skippedPlayerIds = this.advanceTurn();
     this.flippedIndices.forEach(idx => {
       this.cards[idx].isFlipped = false;
     });
     this.flippedIndices = [];
     this.turnTimeLeft = TURN_TIME_LIMIT;
+    return skippedPlayerIds;
   }
 
   getPublicState() {
+    const grid = getGridConfig(this.gridSize);
     const playerArray = Array.from(this.players.values()).map(p => ({
       id: p.id,
       name: p.name,
       avatar: p.avatar,
       score: p.score,
       isReady: p.isReady,
+      isBot: p.isBot,
+      frozen: p.frozen,
+      forfeited: p.forfeited,
     }));
 
     return {
       roomId: this.roomId,
       gridSize: this.gridSize,
+      rows: grid.rows,
+      cols: grid.cols,
+      theme: this.theme,
+      symbolType: THEMES[this.theme].type,
+      mode: this.mode,
+      lastPowerUp: this.lastPowerUp,
+      flipCount: this.flipCount,
+      startedAt: this.startedAt,
+      maxPlayers: this.maxPlayers,
       players: playerArray,
-      cards: this.cards.map(c => ({
-        id: c.id,
-        isFlipped: c.isFlipped,
-        isMatched: c.isMatched,
-        matchedBy: c.matchedBy, // 傳送配對者資訊
-        // ✅ FIX: 總是發送 symbol 和 symbolId（前端需要顯示卡片背面）
-        symbol: c.symbol,
-        symbolId: c.symbolId,
-      })),
+      allReady: this.isEveryoneReady(),
+      paused: this.isPaused ? {
+        since: this.pausedAt,
+        reconnectDeadlines: Object.fromEntries(this.disconnected),
+      } : null,
+      rematch: this.rematchDeadline === null ? null : {
+        deadline: this.rematchDeadline,
+        votes: Object.fromEntries(this.rematchVotes),
+        status: this.getRematchStatus(),
+      },
+      cards: this.cards.map(c => {
+        // 只有翻開或已配對的牌才送出牌面，蓋著的牌只有卡背
+        const isRevealed = c.isFlipped || c.isMatched;
+        return {
+          id: c.id,
+          isFlipped: c.isFlipped,
+          isMatched: c.isMatched,
+          matchedBy: c.matchedBy, // 傳送配對者資訊
+          back: CARD_BACK,
+          symbol: isRevealed ? c.symbol : null,
+          symbolId: isRevealed ? c.symbolId : null,
+          powerUp: isRevealed ? c.powerUp : null,
+        };
+      }),
       currentPlayerIndex: this.currentPlayerIndex,
       matchedPairs: this.matchedPairs,
       totalPairs: this.totalPairs,
@@ -333,5 +893,21 @@ class MemoryBattleGame {
 module.exports = {
   MemoryBattleGame,
   GRID_CONFIGS,
+  THEMES,
+  DEFAULT_THEME,
+  MAX_GRID_SIDE,
+  getGridConfig,
+  validateBoard,
   TURN_TIME_LIMIT,
+  MODES,
+  SOLO_SCORING,
+  POWER_UPS,
+  EXTRA_TIME_SECONDS,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  CARD_BACK,
+  MemoryBattleBot,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_NAMES,
 };
@@ -0,0 +1,938 @@
+/**
+ * Memory Battle 遊戲模組：伺服器端的房間流程（配對、翻牌計時、道具、電腦玩家、私人房間、排行榜）
+ * 模組介面請見 games/README.md
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const {
+  MemoryBattleGame,
+  MODES,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  DEFAULT_THEME,
+  THEMES,
+  GRID_CONFIGS,
+  TURN_TIME_LIMIT,
+  validateBoard,
+  MemoryBattleBot,
+  BOT_DIFFICULTIES,
+  DEFAULT_BOT_DIFFICULTY,
+  BOT_NAMES,
+} = require('./index');
+
+const GAME_ID = 'memory-battle';
+
+// 房間設定（也是 JOIN_GAME、CREATE_PRIVATE_ROOM 可以帶的欄位）
+const SETTINGS = {
+  gridSize: { type: 'grid', default: '4x4', presets: Object.keys(GRID_CONFIGS) },
+  tableSize: { type: 'integer', min: 1, max: MAX_PLAYERS, default: MIN_PLAYERS }, // 單人計時賽為 1
+  theme: { type: 'enum', values: Object.keys(THEMES), default: DEFAULT_THEME },
+  customSymbols: { type: 'array', description: 'theme 為 custom 時的圖片 ID' },
+  mode: { type: 'enum', values: MODES, default: MODES[0] },
+  botDifficulty: { type: 'enum', values: Object.keys(BOT_DIFFICULTIES), default: DEFAULT_BOT_DIFFICULTY },
+  seed: { type: 'seed', description: '只有私人房間可以指定，公開配對與單人計時賽一律隨機' },
+  spectatorDelay: { type: 'integer', min: 0, max: 300, default: 0, description: '觀眾延遲幾秒看到對局' },
+};
+
+// 加入房間時的玩家資料
+const PLAYER_SCHEMA = {
+  playerName: { type: 'string', maxLength: 32 },
+  avatar: { type: 'string', maxLength: 16 },
+};
+
+// 電腦玩家配置
+const BOT_CONFIG = {
+  JOIN_AFTER_MS: Number(process.env.MEMORY_BATTLE_BOT_WAIT_MS) || 20 * 1000, // 等多久沒人配對就補電腦玩家
+};
+
+// 重賽投票
+const REMATCH_CONFIG = {
+  VOTE_TIMEOUT_MS: 30 * 1000, // 對局結束後多久沒有全員同意就關閉房間
+};
+
+// 私人房間邀請碼
+const INVITE_CONFIG = {
+  CODE_LENGTH: 6,
+  ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+};
+const inviteCodes = new Map(); // inviteCode -> roomId
+
+// 單人計時賽排行榜
+const LEADERBOARD_CONFIG = {
+  SIZE: 10, // 每種棋盤大小顯示前幾名
+};
+
+// 每種棋盤大小各自記錄每位玩家的最佳成績
+const soloBests = new Map(); // gridSize -> Map(playerName -> run)
+
+// 等待配對的房間
+const memoryBattleQueue = new Map(); // 配對條件 -> roomId
+
+let hub = null; // 伺服器提供的房間與會話操作，setup() 時注入
+
+function handleMemoryBattleAction(room, action, data, playerId) {
+  const game = room.game;
+
+  switch (action) {
+    case 'FLIP_CARD': {
+      const result = game.flipCard(playerId, data.cardIndex);
+
+      if (!result.success) {
+        room.sendTo(playerId, { type: 'ERROR', message: result.message });
+        return;
+      }
+
+      // 廣播翻牌（電腦玩家也看得到）
+      room.broadcast({
+        type: 'CARD_FLIPPED',
+        cardIndex: result.cardIndex,
+        card: result.card,
+        playerId,
+      });
+      room.bots.forEach(bot => bot.observe(result.cardIndex, result.card.symbolId));
+      scheduleMemoryBattleBotTurn(room);
+
+      // 如果翻了兩張，檢查配對
+      if (game.flippedIndices.length === 2) {
+        room.setTimer('flip', () => {
+          const matchResult = game.checkMatch();
+          if (matchResult) {
+            // 偷看的牌面只給觸發道具的玩家
+            const { powerUp, peek, ...result } = matchResult;
+            room.broadcast({
+              type: 'MATCH_RESULT',
+              ...result,
+            });
+
+            if (matchResult.isMatch) {
+              // 配對成功，重置計時器（含加時道具的秒數）
+              startMemoryBattleTurnTimer(room);
+              room.bots.forEach(bot => bot.forget(result.cardIndices));
+
+              if (powerUp) {
+                room.broadcast({
+                  type: 'POWER_UP',
+                  powerUp,
+                  roomState: game.getPublicState(),
+                });
+                if (peek) {
+                  room.sendTo(powerUp.playerId, { type: 'POWER_UP_PEEK', ...peek });
+                  room.bots.get(powerUp.playerId)?.remember(peek.cardIndex, peek.card.symbolId);
+                }
+                if (powerUp.type === 'SHUFFLE') {
+                  room.bots.forEach(bot => bot.forget(powerUp.cardIndices));
+                }
+              }
+
+              if (matchResult.isGameOver) {
+                endMemoryBattleGame(room);
+              } else {
+                scheduleMemoryBattleBotTurn(room);
+              }
+            } else {
+              // 不配對，換回合（被冰凍的玩家跳過）
+              broadcastSkippedTurns(room, result.skippedPlayerIds);
+              room.broadcast({
+                type: 'TURN_CHANGED',
+                currentPlayerIndex: game.currentPlayerIndex,
+                roomState: game.getPublicState(),
+                legalMoves: game.getLegalMoves(game.getCurrentPlayer()?.id),
+              });
+              startMemoryBattleTurnTimer(room);
+              scheduleMemoryBattleBotTurn(room);
+            }
+          }
+        }, 800);
+      }
+      break;
+    }
+
+    case 'READY':
+    case 'UNREADY': {
+      const result = game.setReady(playerId, action === 'READY');
+      if (!result.success) {
+        room.sendTo(playerId, { type: 'ERROR', message: result.message });
+        return;
+      }
+
+      room.broadcast({
+        type: 'PLAYER_READY',
+        playerId,
+        isReady: action === 'READY',
+        roomState: game.getPublicState(),
+      });
+      startMemoryBattleWhenFull(room);
+      break;
+    }
+
+    case 'REMATCH': {
+      // accept: false 表示拒絕重賽
+      const accept = data.accept !== false;
+      const result = game.voteRematch(playerId, accept);
+      if (!result.success) {
+        room.sendTo(playerId, { type: 'ERROR', message: result.message });
+        return;
+      }
+
+      room.broadcast({
+        type: 'REMATCH_VOTE',
+        playerId,
+        accept,
+        roomState: game.getPublicState(),
+      });
+      checkMemoryBattleRematch(room);
+      break;
+    }
+  }
+}
+
+/**
+ * 對局結束後開放重賽投票，逾時沒有全員同意就關閉房間
+ */
+function openMemoryBattleRematchVote(room) {
+  const game = room.game;
+  game.openRematchVote(Date.now() + REMATCH_CONFIG.VOTE_TIMEOUT_MS);
+  room.bots.forEach((bot, botId) => game.voteRematch(botId, true));
+
+  room.setTimer('rematch', () => {
+    if (hub.isActive(room) && game.phase === 'FINISHED') {
+      hub.closeRoom(room, '重賽投票逾時');
+    }
+  }, REMATCH_CONFIG.VOTE_TIMEOUT_MS);
+}
+
+// 依投票結果重開一局或關閉房間（有人離開也算拒絕）
+function checkMemoryBattleRematch(room) {
+  const game = room.game;
+  if (game.phase !== 'FINISHED' || game.rematchDeadline === null || !hub.isActive(room)) {
+    return;
+  }
+
+  const status = game.getRematchStatus();
+  if (status === 'ACCEPTED') {
+    room.clearTimer('rematch');
+    game.startGame();
+    broadcastMemoryBattleStart(room);
+  } else if (status === 'DECLINED') {
+    room.clearTimer('rematch');
+    hub.closeRoom(room, '有玩家拒絕重賽');
+  }
+}
+
+function startMemoryBattleTurnTimer(room) {
+  room.game.turnTimeLeft = TURN_TIME_LIMIT + room.game.takeBonusTime();
+  runMemoryBattleClock(room);
+}
+
+// 從目前剩餘的秒數繼續倒數（暫停中不走；單人計時賽不限回合時間，改計算整局耗時）
+function runMemoryBattleClock(room) {
+  const game = room.game;
+
+  room.clearTimer('turn');
+  if (game.isPaused || game.mode === 'solo') return;
+
+  room.setTimer('turn', () => {
+    game.turnTimeLeft--;
+
+    if (game.turnTimeLeft <= 0) {
+      // 時間到 - 換回合
+      handleMemoryBattleTimeout(room);
+    } else if (game.turnTimeLeft <= 10) {
+      // 發送警告
+      room.broadcast({
+        type: 'TURN_TIME_UPDATE',
+        timeLeft: game.turnTimeLeft,
+        isWarning: true,
+      });
+    }
+  }, 1000, true);
+}
+
+/**
+ * 對局中有玩家斷線：停下時鐘與電腦玩家，通知大家還剩多少重連時間
+ */
+function pauseMemoryBattle(room, playerId, deadline) {
+  const game = room.game;
+  if (!game.pause(playerId, deadline)) return;
+
+  room.clearTimer('turn');
+  room.clearTimer('botTurn');
+
+  room.broadcast({
+    type: 'GAME_PAUSED',
+    playerId,
+    reconnectTimeoutMs: Math.max(0, deadline - Date.now()),
+    resumeBy: deadline,
+    roomState: game.getPublicState(),
+  });
+}
+
+// 斷線的玩家都回來了：時鐘從暫停的地方繼續
+function resumeMemoryBattle(room, playerId) {
+  if (!room.game.resume(playerId)) return;
+  continueMemoryBattle(room);
+}
+
+function continueMemoryBattle(room) {
+  const game = room.game;
+  runMemoryBattleClock(room);
+  room.broadcast({
+    type: 'GAME_RESUMED',
+    timeLeft: game.turnTimeLeft,
+    roomState: game.getPublicState(),
+    legalMoves: game.getLegalMoves(game.getCurrentPlayer()?.id),
+  });
+  scheduleMemoryBattleBotTurn(room);
+}
+
+function handleMemoryBattleTimeout(room) {
+  const game = room.game;
+
+  console.log(`[Memory Battle] Time's up in room ${room.roomId}`);
+
+  // 翻回任何已翻的卡片
+  const skippedPlayerIds = game.switchTurn();
+  broadcastSkippedTurns(room, skippedPlayerIds);
+
+  room.broadcast({
+    type: 'TURN_TIMEOUT',
+    currentPlayerIndex: game.currentPlayerIndex,
+    roomState: game.getPublicState(),
+    legalMoves: game.getLegalMoves(game.getCurrentPlayer()?.id),
+  });
+
+  startMemoryBattleTurnTimer(room);
+  scheduleMemoryBattleBotTurn(room);
+}
+
+// 通知被冰凍道具跳過回合的玩家
+function broadcastSkippedTurns(room, skippedPlayerIds) {
+  if (skippedPlayerIds.length > 0) {
+    room.broadcast({
+      type: 'TURN_SKIPPED',
+      skippedPlayerIds,
+      currentPlayerIndex: room.game.currentPlayerIndex,
+    });
+  }
+}
+
+function endMemoryBattleGame(room, { rematch = true } = {}) {
+  const game = room.game;
+
+  room.clearTimer('turn');
+
+  const winnerData = game.getWinner();
+  const replayId = uuidv4().slice(0, 8).toUpperCase();
+
+  if (rematch) {
+    openMemoryBattleRematchVote(room);
+  }
+
+  // 單人計時賽：記錄成績並回報排名
+  if (game.mode === 'solo') {
+    const player = game.getCurrentPlayer();
+    room.broadcast({
+      type: 'GAME_ENDED',
+      replayId,
+      winnerId: player?.id || null,
+      isDraw: false,
+      soloResult: recordSoloRun(player?.name || 'Player', game.getSoloResult()),
+      roomState: game.getPublicState(),
+    });
+    room.saveReplay(replayId);
+    return;
+  }
+
+  room.broadcast({
+    type: 'GAME_ENDED',
+    replayId,
+    isRated: room.bots.size === 0, // 有電腦玩家的對局不列入排名
+    winnerId: winnerData?.winner?.id || null,
+    isDraw: winnerData?.isDraw || false,
+    finalScores: Object.fromEntries(
+      Array.from(game.players.values()).map(p => [p.id, p.score])
+    ),
+    standings: game.getStandings(),
+    roomState: game.getPublicState(),
+  });
+  room.saveReplay(replayId);
+}
+
+// 只配對棋盤、人數、主題、模式都相同的玩家（自訂主題連圖片清單也要相同）
+function getMemoryBattleQueueKey({ gridSize, maxPlayers, theme, customSymbols = [], mode }) {
+  const themeKey = theme === 'custom' ? `custom(${customSymbols.join(',')})` : theme;
+  return `${gridSize}:${maxPlayers}:${themeKey}:${mode}`;
+}
+
+/**
+ * 記錄單人計時賽成績，每位玩家在每種棋盤只保留最佳成績
+ * @returns {Object} 本次成績加上排名與個人最佳
+ */
+function recordSoloRun(playerName, result) {
+  if (!soloBests.has(result.gridSize)) {
+    soloBests.set(result.gridSize, new Map());
+  }
+  const bests = soloBests.get(result.gridSize);
+  const previous = bests.get(playerName);
+  const run = { playerName, ...result, finishedAt: Date.now() };
+  const isPersonalBest = !previous || compareSoloRuns(run, previous) < 0;
+
+  if (isPersonalBest) {
+    bests.set(playerName, run);
+  }
+
+  const personalBest = bests.get(playerName);
+  const rank = getSoloLeaderboard(result.gridSize, Infinity).findIndex(r => r.playerName === playerName) + 1;
+  return { ...run, isPersonalBest, personalBest, rank };
+}
+
+// 分數高者在前，同分比耗時，再比誰先完成
+function compareSoloRuns(a, b) {
+  return b.score - a.score || a.elapsedMs - b.elapsedMs || a.finishedAt - b.finishedAt;
+}
+
+function getSoloLeaderboard(gridSize, limit = LEADERBOARD_CONFIG.SIZE) {
+  const bests = soloBests.get(gridSize);
+  if (!bests) return [];
+  return [...bests.values()].sort(compareSoloRuns).slice(0, limit);
+}
+
+function findOrCreateMemoryBattleRoom(gridSize, options = {}) {
+  const tableSize = Math.min(Math.max(Number(options.tableSize) || MIN_PLAYERS, MIN_PLAYERS), MAX_PLAYERS);
+  const theme = options.theme || DEFAULT_THEME;
+  const customSymbols = theme === 'custom' ? [...new Set(options.customSymbols)] : [];
+  const mode = MODES.includes(options.mode) ? options.mode : MODES[0];
+  const queueKey = getMemoryBattleQueueKey({ gridSize, maxPlayers: tableSize, theme, customSymbols, mode });
+
+  // 單人計時賽不進配對佇列
+  if (mode === 'solo') {
+    return createMemoryBattleRoom(gridSize, {
+      tableSize: 1, theme, customSymbols, mode, spectatorDelay: options.spectatorDelay
+    });
+  }
+
+  // 檢查是否有同樣棋盤、同樣人數、還沒坐滿的房間
+  const waitingRoomId = memoryBattleQueue.get(queueKey);
+  if (waitingRoomId) {
+    const room = hub.getRoom(waitingRoomId);
+    if (room && room.game.playerCount < room.game.maxPlayers && room.game.phase === 'WAITING') {
+      return room;
+    }
+    // 房間無效，移除
+    memoryBattleQueue.delete(queueKey);
+  }
+
+  // 建立新房間（觀戰延遲由開房的玩家決定）
+  const room = createMemoryBattleRoom(gridSize, {
+    tableSize,
+    theme,
+    customSymbols,
+    mode,
+    botDifficulty: options.botDifficulty,
+    spectatorDelay: options.spectatorDelay,
+  });
+  memoryBattleQueue.set(queueKey, room.roomId);
+  return room;
+}
+
+/**
+ * 讓連線坐進 Memory Battle 房間：回傳加入結果、通知其他玩家，人數到齊就開始
+ * @returns {string|null} 新玩家 ID，加入失敗時為 null
+ */
+function seatMemoryBattlePlayer(room, conn, playerName, avatar) {
+  const playerId = uuidv4();
+
+  if (!room.addPlayer(playerId, playerName || 'Player', conn.ws, avatar)) {
+    conn.send({ type: 'ERROR', message: 'Failed to join room' });
+    return null;
+  }
+
+  conn.playerId = playerId;
+  conn.room = room;
+  conn.roomId = room.roomId;
+
+  const playerIndex = room.game.playerCount - 1;
+  updateMemoryBattleQueue(room);
+
+  conn.send({
+    type: 'JOINED_ROOM',
+    playerId,
+    sessionToken: hub.createSession(playerId, room.roomId, GAME_ID),
+    roomId: room.roomId,
+    playerIndex,
+    isPrivate: room.isPrivate,
+    inviteCode: room.inviteCode,
+    roomState: room.game.getPublicState(),
+  });
+
+  room.broadcast({
+    type: 'PLAYER_JOINED',
+    player: {
+      id: playerId,
+      name: playerName || 'Player',
+      avatar: avatar || '👤',
+      score: 0,
+      isReady: false,
+    },
+    roomState: room.game.getPublicState(),
+  });
+
+  scheduleMemoryBattleBots(room);
+  return playerId;
+}
+
+// 人數到齊且全員準備好，自動開始（倒數期間有人取消準備就不開始）
+function startMemoryBattleWhenFull(room) {
+  const game = room.game;
+  if (game.phase !== 'WAITING' || !game.isEveryoneReady()) return;
+
+  room.setTimer('start', () => {
+    if (game.phase === 'WAITING' && game.isEveryoneReady() && game.startGame()) {
+      broadcastMemoryBattleStart(room);
+    }
+  }, 2000);
+}
+
+function broadcastMemoryBattleStart(room) {
+  const game = room.game;
+  room.bots.forEach(bot => bot.reset());
+  room.recordEvent('DEAL', game.getDealRecord(), []);
+  room.broadcast({
+    type: 'GAME_STARTED',
+    roomState: game.getPublicState(),
+    legalMoves: game.getLegalMoves(game.getCurrentPlayer()?.id),
+  });
+  startMemoryBattleTurnTimer(room);
+  scheduleMemoryBattleBotTurn(room);
+}
+
+// ============================================
+// Memory Battle 電腦玩家
+// ============================================
+
+/**
+ * 公開配對的房間等太久沒人，就補上電腦玩家（私人房間、單人計時賽不補）
+ */
+function scheduleMemoryBattleBots(room) {
+  const game = room.game;
+  if (room.isPrivate || game.mode === 'solo' || room.hasTimer('bots') || game.playerCount >= game.maxPlayers) {
+    return;
+  }
+
+  room.setTimer('bots', () => {
+    fillMemoryBattleWithBots(room);
+  }, BOT_CONFIG.JOIN_AFTER_MS);
+}
+
+function fillMemoryBattleWithBots(room) {
+  const game = room.game;
+  if (!hub.isActive(room) || game.phase !== 'WAITING' || room.humanCount === 0) {
+    return;
+  }
+
+  while (game.playerCount < game.maxPlayers) {
+    const botId = `bot-${uuidv4().slice(0, 8)}`;
+    const botName = `${BOT_NAMES[room.bots.size % BOT_NAMES.length]} (Bot)`;
+    room.addBot(botId, botName, new MemoryBattleBot(botId, room.botDifficulty, botId));
+    game.setReady(botId, true); // 電腦玩家一加入就準備好
+
+    room.broadcast({
+      type: 'PLAYER_JOINED',
+      player: game.getPublicState().players.find(p => p.id === botId),
+      roomState: game.getPublicState(),
+    });
+    console.log(`[Memory Battle] Bot ${botName} (${room.botDifficulty}) joined room ${room.roomId}`);
+  }
+
+  updateMemoryBattleQueue(room);
+  startMemoryBattleWhenFull(room);
+}
+
+/**
+ * 輪到電腦玩家時，思考一下再翻牌（一次翻一張，和真人走同樣的 FLIP_CARD 流程）
+ */
+function scheduleMemoryBattleBotTurn(room) {
+  const game = room.game;
+  const current = game.getCurrentPlayer();
+  const bot = current && room.bots.get(current.id);
+  if (!bot || game.phase !== 'PLAYING' || game.isPaused || game.flippedIndices.length >= 2) {
+    return;
+  }
+
+  room.setTimer('botTurn', () => {
+    if (!hub.isActive(room) || game.phase !== 'PLAYING' || game.isPaused ||
+      game.getCurrentPlayer() !== current) {
+      return;
+    }
+
+    const { cardIndices } = game.getLegalMoves(current.id);
+    if (cardIndices.length === 0) return;
+
+    const [firstIndex] = game.flippedIndices;
+    const firstCard = firstIndex === undefined
+      ? null
+      : { cardIndex: firstIndex, symbolId: game.cards[firstIndex].symbolId };
+    if (!firstCard) {
+      bot.decay();
+    }
+    handleMemoryBattleAction(room, 'FLIP_CARD', { cardIndex: bot.chooseCard(cardIndices, firstCard) }, current.id);
+  }, bot.getThinkDelay());
+}
+
+/**
+ * 產生私人房間邀請碼（避開容易看錯的 0/O、1/I）
+ */
+function createInviteCode(roomId) {
+  let code;
+  do {
+    code = Array.from({ length: INVITE_CONFIG.CODE_LENGTH }, () =>
+      INVITE_CONFIG.ALPHABET[crypto.randomInt(INVITE_CONFIG.ALPHABET.length)]).join('');
+  } while (inviteCodes.has(code));
+
+  inviteCodes.set(code, roomId);
+  return code;
+}
+
+function findRoomByInviteCode(inviteCode) {
+  const code = String(inviteCode || '').trim().toUpperCase();
+  const roomId = inviteCodes.get(code);
+  const room = roomId && hub.getRoom(roomId);
+  if (!room) {
+    // 房間已關閉，邀請碼失效
+    inviteCodes.delete(code);
+    return null;
+  }
+  return room;
+}
+
+function createMemoryBattleRoom(gridSize, {
+  seed, tableSize, theme, customSymbols, mode, botDifficulty, spectatorDelay
+}) {
+  const roomId = uuidv4().slice(0, 8).toUpperCase();
+  const room = hub.createRoom(roomId, GAME_ID, { seed, tableSize, mode, spectatorDelay });
+  room.game.setBoard(gridSize, theme, customSymbols);
+  room.isPrivate = false; // 私人房間只能用邀請碼加入
+  room.inviteCode = null;
+  room.botDifficulty = BOT_DIFFICULTIES[botDifficulty] ? botDifficulty : DEFAULT_BOT_DIFFICULTY;
+
+  console.log(`[Memory Battle] Created ${mode} room ${roomId} with grid ${gridSize} (${theme}) for ${tableSize} players, seed ${room.game.seed}`);
+  return room;
+}
+
+/**
+ * 房間人數變動後更新配對佇列：等待中且還沒坐滿的房間留在佇列，其餘移出
+ */
+function updateMemoryBattleQueue(room) {
+  // 私人房間永遠不進公開配對
+  if (room.isPrivate) return;
+
+  const game = room.game;
+  const queueKey = getMemoryBattleQueueKey(game);
+  const isOpen = hub.isActive(room) && game.phase === 'WAITING' &&
+    game.playerCount > 0 && game.playerCount < game.maxPlayers;
+
+  if (isOpen) {
+    if (!memoryBattleQueue.has(queueKey)) {
+      memoryBattleQueue.set(queueKey, room.roomId);
+    }
+  } else if (memoryBattleQueue.get(queueKey) === room.roomId) {
+    memoryBattleQueue.delete(queueKey);
+  }
+}
+
+// ============================================
+// 連線訊息
+// ============================================
+
+function joinGame(conn, data) {
+  const {
+    playerName, avatar, gridSize, tableSize, theme, customSymbols, mode, botDifficulty, sessionToken, spectatorDelay
+  } = data;
+
+  // 每個連線只能綁定一個座位
+  if (conn.playerId) {
+    conn.send({ type: 'ERROR', message: 'Already joined' });
+    return;
+  }
+
+  // 檢查是否為重連（以伺服器發出的憑證找回座位）
+  const reconnect = hub.findReconnectSession(sessionToken, GAME_ID);
+  if (reconnect && hub.getRoom(reconnect.disconnectInfo.roomId)) {
+    const room = hub.restoreSeat(conn, reconnect);
+    const playerId = conn.playerId;
+
+    // 發送當前遊戲狀態
+    conn.send({
+      type: 'RECONNECTED',
+      playerId,
+      sessionToken,
+      roomId: room.roomId,
+      roomState: room.game.getPublicState(),
+      message: '重連成功！',
+    });
+
+    // 通知其他玩家
+    room.broadcast({
+      type: 'PLAYER_RECONNECTED',
+      playerId,
+      playerName: reconnect.disconnectInfo.playerData.name,
+      message: '玩家重新連線',
+    });
+    resumeMemoryBattle(room, playerId);
+    return;
+  }
+
+  // 正常加入：先檢查棋盤大小與主題
+  const boardError = validateBoard(gridSize || '4x4', theme || DEFAULT_THEME, customSymbols);
+  if (boardError) {
+    conn.send({ type: 'ERROR', message: boardError });
+    return;
+  }
+
+  // 自動配對（不接受 seed：開房的人知道種子就能事先算出牌面）
+  const room = findOrCreateMemoryBattleRoom(gridSize || '4x4', {
+    tableSize, theme, customSymbols, mode, botDifficulty, spectatorDelay
+  });
+  seatMemoryBattlePlayer(room, conn, playerName, avatar);
+}
+
+// 建立私人房間：設定由房主決定，回傳邀請碼給朋友加入
+function createPrivateRoom(conn, data) {
+  const {
+    playerName, avatar, gridSize, tableSize, theme, customSymbols, mode, seed, spectatorDelay
+  } = data;
+
+  if (conn.playerId) {
+    conn.send({ type: 'ERROR', message: 'Already joined' });
+    return;
+  }
+
+  const boardError = validateBoard(gridSize || '4x4', theme || DEFAULT_THEME, customSymbols);
+  if (boardError) {
+    conn.send({ type: 'ERROR', message: boardError });
+    return;
+  }
+  if (mode === 'solo') {
+    conn.send({ type: 'ERROR', message: 'Solo mode cannot be played in a private room' });
+    return;
+  }
+
+  const room = createMemoryBattleRoom(gridSize || '4x4', {
+    seed,
+    tableSize: Math.min(Math.max(Number(tableSize) || MIN_PLAYERS, MIN_PLAYERS), MAX_PLAYERS),
+    theme: theme || DEFAULT_THEME,
+    customSymbols,
+    mode,
+    spectatorDelay,
+  });
+  room.isPrivate = true;
+  room.inviteCode = createInviteCode(room.roomId);
+
+  seatMemoryBattlePlayer(room, conn, playerName, avatar);
+}
+
+// 用邀請碼加入私人房間
+function joinByCode(conn, data) {
+  const { inviteCode, playerName, avatar } = data;
+
+  if (conn.playerId) {
+    conn.send({ type: 'ERROR', message: 'Already joined' });
+    return;
+  }
+
+  const room = findRoomByInviteCode(inviteCode);
+  if (!room) {
+    conn.send({ type: 'ERROR', message: 'Invalid invite code' });
+    return;
+  }
+  if (room.game.phase !== 'WAITING' || room.game.playerCount >= room.game.maxPlayers) {
+    conn.send({ type: 'ERROR', message: 'Room is full or already playing' });
+    return;
+  }
+
+  seatMemoryBattlePlayer(room, conn, playerName, avatar);
+}
+
+// 動作一律以連線綁定的座位執行
+function forwardAction(conn, data, msg) {
+  if (conn.room && conn.playerId) {
+    handleMemoryBattleAction(conn.room, msg.type, data, conn.playerId);
+  }
+}
+
+function leaveRoom(conn) {
+  if (conn.room && conn.playerId) {
+    hub.revokeSessions(conn.playerId);
+    removeSeat(conn.room, conn.playerId);
+    conn.playerId = null;
+    conn.room = null;
+  }
+  conn.send({ type: 'LEFT_ROOM' });
+}
+
+// 玩家離開座位（主動離開或斷線超時）：更新配對佇列，重賽投票中離開視同拒絕
+function removeSeat(room, playerId, playerName) {
+  room.removePlayer(playerId);
+  room.broadcast({
+    type: 'PLAYER_LEFT',
+    playerId,
+    playerName,
+    roomState: room.game.getPublicState(),
+  });
+  hub.deleteRoomIfEmpty(room);
+  updateMemoryBattleQueue(room);
+  checkMemoryBattleRematch(room);
+}
+
+// 通知其他玩家（但不移除），對局中則暫停等待重連
+function onDisconnect(room, playerId, { playerName, deadline }) {
+  room.broadcast({
+    type: 'PLAYER_DISCONNECTED',
+    playerId,
+    playerName,
+    message: '玩家斷線，等待重連...',
+  });
+  pauseMemoryBattle(room, playerId, deadline);
+}
+
+// 對局中沒回來：判定棄權（而不是退回等待）。還剩兩人以上時其他人繼續，否則結束對局、其他玩家獲勝並關閉房間
+function onReconnectTimeout(room, playerId, playerName) {
+  const game = room.game;
+  const forfeited = game.mode !== 'solo' && game.forfeit(playerId);
+  if (forfeited) {
+    room.broadcast({
+      type: 'PLAYER_FORFEITED',
+      playerId,
+      playerName,
+    });
+    if (game.phase === 'FINISHED') {
+      // 只剩一人，湊不滿一桌重賽：不開放投票，結束後直接關閉房間
+      endMemoryBattleGame(room, { rematch: false });
+    }
+  }
+  removeSeat(room, playerId, playerName);
+
+  if (forfeited && game.phase === 'FINISHED' && hub.isActive(room)) {
+    hub.closeRoom(room, `${playerName} 斷線棄權`);
+    return;
+  }
+
+  // removePlayer 會停掉回合計時；沒有其他人斷線就從目前的回合繼續
+  if (forfeited && game.phase === 'PLAYING' && hub.isActive(room) && !game.isPaused) {
+    continueMemoryBattle(room);
+  }
+}
+
+// 房間關閉時移出配對佇列、作廢邀請碼
+function onRoomClosed(room) {
+  for (const [queueKey, queuedRoomId] of memoryBattleQueue) {
+    if (queuedRoomId === room.roomId) {
+      memoryBattleQueue.delete(queueKey);
+    }
+  }
+  if (room.inviteCode) {
+    inviteCodes.delete(room.inviteCode);
+  }
+}
+
+// 私人房間只能用邀請碼觀戰
+function checkSpectator(room, { inviteCode }) {
+  if (room.isPrivate && findRoomByInviteCode(inviteCode) !== room) {
+    return 'Private rooms can only be watched with the invite code';
+  }
+  return null;
+}
+
+// 房間已經不在的邀請碼（玩家全部離開時房間會直接刪除）
+function onCleanup() {
+  for (const [inviteCode, invitedRoomId] of inviteCodes) {
+    if (!hub.getRoom(invitedRoomId)) {
+      inviteCodes.delete(inviteCode);
+    }
+  }
+}
+
+// 單人計時賽排行榜：/leaderboards 與 /leaderboards/:gridSize
+function handleHttp(url) {
+  if (url === '/leaderboards') {
+    const leaderboards = {};
+    for (const gridSize of soloBests.keys()) {
+      leaderboards[gridSize] = getSoloLeaderboard(gridSize);
+    }
+    return { leaderboards };
+  }
+
+  const leaderboardMatch = url.match(/^\/leaderboards\/(\d+x\d+)$/);
+  if (leaderboardMatch) {
+    const gridSize = leaderboardMatch[1];
+    return { gridSize, leaderboard: getSoloLeaderboard(gridSize) };
+  }
+  return null;
+}
+
+module.exports = {
+  id: GAME_ID,
+  name: 'Memory Battle',
+  minPlayers: 1, // 單人計時賽
+  maxPlayers: MAX_PLAYERS,
+  settings: SETTINGS,
+  legacyFormat: 'flat', // 舊版訊息的欄位放在最外層
+
+  setup(serverHub) {
+    hub = serverHub;
+  },
+
+  createGame(roomId, settings) {
+    return new MemoryBattleGame(roomId, settings);
+  },
+
+  // 翻牌記憶沒有私人資訊，每個人看到的都是公開狀態
+  getPlayerView(game) {
+    return game.getPublicState();
+  },
+
+  messages: {
+    JOIN_GAME: {
+      schema: { ...PLAYER_SCHEMA, ...SETTINGS, sessionToken: { type: 'string', maxLength: 64 } },
+      handler: joinGame,
+    },
+    CREATE_PRIVATE_ROOM: {
+      schema: { ...PLAYER_SCHEMA, ...SETTINGS },
+      handler: createPrivateRoom,
+    },
+    JOIN_BY_CODE: {
+      schema: { ...PLAYER_SCHEMA, inviteCode: { type: 'string', required: true, maxLength: 16 } },
+      handler: joinByCode,
+    },
+    FLIP_CARD: {
+      schema: { cardIndex: { type: 'integer', required: true, min: 0 } },
+      handler: forwardAction,
+    },
+    READY: forwardAction,
+    UNREADY: forwardAction,
+    REMATCH: {
+      schema: { accept: { type: 'boolean' } },
+      handler: forwardAction,
+    },
+    LEAVE_ROOM: leaveRoom,
+  },
+
+  describeRoom(room) {
+    const { gridSize, theme, mode } = room.game;
+    return { gridSize, theme, mode, isPrivate: room.isPrivate };
+  },
+
+  replayMeta(room) {
+    const { seed, gridSize, theme, mode } = room.game;
+    return { seed, gridSize, theme, mode };
+  },
+
+  findRoomByInviteCode,
+  checkSpectator,
+  onDisconnect,
+  onReconnectTimeout,
+  onRoomClosed,
+  onCleanup,
+  handleHttp,
+};
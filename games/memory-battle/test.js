@@ -3,84 +3,13 @@
  * 完整的單元測試和整合測試
  */
 
-const { MemoryBattleGame, GRID_CONFIGS } = require('./index.js');
-
-// 測試工具
-class TestRunner {
-  constructor() {
-    this.passed = 0;
-    this.failed = 0;
-    this.tests = [];
-  }
-
-  test(name, fn) {
-    this.tests.push({ name, fn });
-  }
-
-  async run() {
-    console.log('\n🧪 Running Memory Battle Tests...\n');
-    console.log('='.repeat(60));
-
-    for (const test of this.tests) {
-      try {
-        await test.fn();
-        this.passed++;
-        console.log(`✅ PASS: ${test.name}`);
-      } catch (error) {
-        this.failed++;
-        console.log(`❌ FAIL: ${test.name}`);
-        console.log(`   Error: ${error.message}`);
-        if (error.expected !== undefined) {
-          console.log(`   Expected: ${JSON.stringify(error.expected)}`);
-          console.log(`   Received: ${JSON.stringify(error.received)}`);
-        }
-      }
-    }
-
-    console.log('='.repeat(60));
-    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
-    console.log(`Total: ${this.passed + this.failed} tests\n`);
-
-    return this.failed === 0;
-  }
-}
-
-// 斷言函數
-function assert(condition, message) {
-  if (!condition) {
-    throw new Error(message || 'Assertion failed');
-  }
-}
-
-function assertEqual(actual, expected, message) {
-  if (actual !== expected) {
-    const error = new Error(message || `Expected ${expected}, got ${actual}`);
-    error.expected = expected;
-    error.received = actual;
-    throw error;
-  }
-}
-
-function assertNotNull(value, message) {
-  if (value === null || value === undefined) {
-    throw new Error(message || 'Expected non-null value');
-  }
-}
-
-function assertArrayLength(array, length, message) {
-  if (!Array.isArray(array)) {
-    throw new Error('Expected an array');
-  }
-  if (array.length !== length) {
-    const error = new Error(message || `Expected array length ${length}, got ${array.length}`);
-    error.expected = length;
-    error.received = array.length;
-    throw error;
-  }
-}
+const {
+  MemoryBattleGame, GRID_CONFIGS, CARD_BACK, MAX_GRID_SIDE, EXTRA_TIME_SECONDS, validateBoard, MemoryBattleBot,
+} = require('./index.js');
+const { TestRunner, assert, assertEqual, assertNotNull, assertArrayLength } = require('../test-runner');
 
 // 建立測試套件
-const runner = new TestRunner();
+const runner = new TestRunner('Memory Battle');
 
 // ============================================================
 // 遊戲初始化測試
@@ -135,6 +64,16 @@ runner.test('Reject third player', () => {
   assertEqual(game.playerCount, 2, 'Should still have 2 players');
 });
 
+runner.test('Table size allows up to 4 players', () => {
+  const game = new MemoryBattleGame('test-room-4p', { tableSize: 4 });
+  ['Alice', 'Bob', 'Charlie', 'Dana'].forEach((name, i) => {
+    assert(game.addPlayer(`player${i + 1}`, name), `Should add ${name}`);
+  });
+  
+  assertEqual(game.addPlayer('player5', 'Eve'), false, 'Should reject fifth player');
+  assertEqual(new MemoryBattleGame('test-room-bad', { tableSize: 9 }).maxPlayers, 2, 'Invalid table size falls back to 2');
+});
+
 // ============================================================
 // 遊戲開始測試
 // ============================================================
@@ -187,6 +126,105 @@ runner.test('Start game with different grid sizes', () => {
   });
 });
 
+// ============================================================
+// 棋盤大小與主題測試
+// ============================================================
+
+runner.test('Custom grid size with a large theme', () => {
+  const game = new MemoryBattleGame('test-room-6x8');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  
+  const result = game.setBoard('6x8', 'animals');
+  assert(result.success, 'Animals theme should fill a 6x8 board');
+  game.startGame();
+  
+  assertArrayLength(game.cards, 48, 'Should have 48 cards');
+  assertEqual(new Set(game.cards.map(c => c.symbolId)).size, 24, 'Should use 24 distinct symbols');
+  
+  const state = game.getPublicState();
+  assertEqual(state.theme, 'animals', 'Theme should be in public state');
+  assertEqual(state.rows, 6, 'Rows should be in public state');
+  assertEqual(state.cols, 8, 'Cols should be in public state');
+});
+
+runner.test('Reject invalid grid sizes', () => {
+  assertNotNull(validateBoard('3x3'), 'Odd number of cards should be rejected');
+  assertNotNull(validateBoard(`${MAX_GRID_SIDE + 2}x2`), 'Oversized grid should be rejected');
+  assertNotNull(validateBoard('big'), 'Malformed grid should be rejected');
+  assertEqual(validateBoard('2x3', 'numbers'), null, 'Small even grid should be allowed');
+});
+
+runner.test('Reject themes without enough symbols', () => {
+  const game = new MemoryBattleGame('test-room-theme');
+  const result = game.setBoard('8x8', 'fantasy');
+  
+  assertEqual(result.success, false, 'Fantasy theme cannot fill 32 pairs');
+  assertEqual(game.gridSize, '4x4', 'Board should be unchanged');
+  assertNotNull(validateBoard('4x4', 'space'), 'Unknown theme should be rejected');
+});
+
+runner.test('Custom theme uses distinct image ids', () => {
+  const imageIds = ['img-1', 'img-2', 'img-3', 'img-1'];
+  assertNotNull(validateBoard('2x4', 'custom', imageIds), 'Duplicate ids do not count as distinct');
+  assertNotNull(validateBoard('2x2', 'custom', ['<script>', 'img-2']), 'Unsafe ids should be rejected');
+  
+  const game = new MemoryBattleGame('test-room-custom');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  assert(game.setBoard('2x3', 'custom', imageIds).success, 'Three distinct ids fill a 2x3 board');
+  game.startGame();
+  
+  const faces = new Set(game.cards.map(c => c.symbol));
+  assertEqual([...faces].sort().join(','), 'img-1,img-2,img-3', 'Cards should use the image ids');
+  assertEqual(game.getPublicState().symbolType, 'image', 'Symbol type should be image');
+});
+
+runner.test('Same seed generates the same board', () => {
+  const boards = [1, 2].map(() => {
+    const game = new MemoryBattleGame('test-room-seed', { seed: 'replay-1' });
+    game.addPlayer('player1', 'Alice');
+    game.addPlayer('player2', 'Bob');
+    game.setGridSize('6x6');
+    game.startGame();
+    return game.cards.map(c => c.symbolId).join(',');
+  });
+  
+  assertEqual(boards[0], boards[1], 'Boards should be identical');
+});
+
+runner.test('A rematch gets a new seed so a published seed cannot predict it', () => {
+  const [game, twin] = [1, 2].map(() => {
+    const table = new MemoryBattleGame('test-room-rematch-seed', { seed: 'replay-1' });
+    table.addPlayer('player1', 'Alice');
+    table.addPlayer('player2', 'Bob');
+    table.setGridSize('6x6');
+    table.startGame();
+    return table;
+  });
+  const firstSeed = game.seed;
+
+  game.startGame();
+  // 沿用舊種子的亂數（清掉牌面就不會換種子），等於知道種子的人能算出的牌面
+  twin.cards = [];
+  twin.startGame();
+  const predicted = twin.cards.map(c => c.symbolId).join(',');
+  assert(game.seed !== firstSeed, 'Seed should change');
+  assert(game.cards.map(c => c.symbolId).join(',') !== predicted, 'Rematch board should not follow the old seed');
+});
+
+runner.test('Deal record lists the full board for replays', () => {
+  const game = new MemoryBattleGame('test-room-deal');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.startGame();
+  
+  const deal = game.getDealRecord();
+  assertEqual(deal.gridSize, '4x4', 'Grid size should be recorded');
+  assertArrayLength(deal.cards, 16, 'Every card should be recorded');
+  assertEqual(deal.cards[3].symbolId, game.cards[3].symbolId, 'Card order should match the board');
+});
+
 // ============================================================
 // 卡片配對測試
 // ============================================================
@@ -256,6 +294,26 @@ runner.test('Cannot flip more than 2 cards', () => {
   assertArrayLength(game.flippedIndices, 2, 'Should still have 2 flipped cards');
 });
 
+runner.test('Legal moves list unflipped cards for current player only', () => {
+  const game = new MemoryBattleGame('test-room-legal');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.startGame();
+  
+  const currentPlayer = game.getCurrentPlayer();
+  game.flipCard(currentPlayer.id, 0);
+  game.cards[1].isMatched = true;
+  
+  const moves = game.getLegalMoves(currentPlayer.id);
+  assertEqual(moves.isTurn, true, 'Should be current player turn');
+  assertArrayLength(moves.cardIndices, 14, 'Flipped and matched cards should be excluded');
+  assertEqual(moves.cardIndices.includes(0), false, 'Flipped card should not be listed');
+  
+  const other = game.getLegalMoves('player2');
+  assertEqual(other.isTurn, false, 'Should not be other player turn');
+  assertArrayLength(other.cardIndices, 0, 'Other player should have no moves');
+});
+
 runner.test('Check match - matching cards', () => {
   const game = new MemoryBattleGame('test-room-11');
   game.addPlayer('player1', 'Alice');
@@ -307,10 +365,10 @@ runner.test('Check match - non-matching cards', () => {
 });
 
 // ============================================================
-// 🚨 關鍵測試：getPublicState() 必須包含 symbol！
+// 🚨 關鍵測試：getPublicState() 不能洩漏蓋著的牌面！
 // ============================================================
 
-runner.test('🚨 CRITICAL: getPublicState returns symbols for all cards', () => {
+runner.test('🚨 CRITICAL: getPublicState hides symbols of face-down cards', () => {
   const game = new MemoryBattleGame('test-room-critical');
   game.addPlayer('player1', 'Alice');
   game.addPlayer('player2', 'Bob');
@@ -322,10 +380,11 @@ runner.test('🚨 CRITICAL: getPublicState returns symbols for all cards', () =>
   assert(Array.isArray(state.cards), 'State should have cards array');
   assertArrayLength(state.cards, 16, 'Should have 16 cards in state');
   
-  // 🚨 關鍵：每張卡片都必須有 symbol 和 symbolId
+  // 🚨 關鍵：蓋著的牌不能有 symbol 和 symbolId，但要有卡背
   state.cards.forEach((card, idx) => {
-    assertNotNull(card.symbol, `Card ${idx} in state should have symbol (even if not flipped)`);
-    assertNotNull(card.symbolId, `Card ${idx} in state should have symbolId (even if not flipped)`);
+    assertEqual(card.symbol, null, `Card ${idx} should not expose symbol while face down`);
+    assertEqual(card.symbolId, null, `Card ${idx} should not expose symbolId while face down`);
+    assertEqual(card.back, CARD_BACK, `Card ${idx} should have a card back`);
     
     // 檢查卡片結構
     assert('id' in card, `Card ${idx} should have id`);
@@ -334,23 +393,48 @@ runner.test('🚨 CRITICAL: getPublicState returns symbols for all cards', () =>
     assert('matchedBy' in card, `Card ${idx} should have matchedBy`);
   });
   
-  console.log('   ✅ All cards have symbols in getPublicState()');
+  console.log('   ✅ No face-down symbols in getPublicState()');
+});
+
+runner.test('🚨 CRITICAL: face-down cards cannot be paired from getPublicState', () => {
+  const game = new MemoryBattleGame('test-room-critical-ids', { seed: 42 });
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.startGame();
+
+  const state = game.getPublicState();
+
+  // 蓋著的牌除了 id 之外完全相同，而 id 就是位置
+  const withoutId = card => JSON.stringify({ ...card, id: null });
+  state.cards.forEach((card, idx) => {
+    assertEqual(card.id, idx, `Card ${idx} id should only reflect its position`);
+    assertEqual(withoutId(card), withoutId(state.cards[0]), `Card ${idx} should look like every other face-down card`);
+  });
 });
 
-runner.test('🚨 CRITICAL: getPublicState cards match internal cards', () => {
+runner.test('🚨 CRITICAL: getPublicState reveals flipped and matched cards', () => {
   const game = new MemoryBattleGame('test-room-critical-2');
   game.addPlayer('player1', 'Alice');
   game.addPlayer('player2', 'Bob');
   game.startGame();
   
+  // 翻開第一張，並讓另一組牌已配對
+  const currentPlayer = game.getCurrentPlayer();
+  game.flipCard(currentPlayer.id, 0);
+  const matchedIndex = game.cards.findIndex((card, idx) => idx > 0 && card.symbolId !== game.cards[0].symbolId);
+  game.cards[matchedIndex].isMatched = true;
+  
   const state = game.getPublicState();
   
-  // 檢查每張卡片的 symbol 是否與內部狀態一致
-  state.cards.forEach((stateCard, idx) => {
+  // 翻開與配對的牌面必須與內部狀態一致
+  [0, matchedIndex].forEach(idx => {
     const internalCard = game.cards[idx];
-    assertEqual(stateCard.symbol, internalCard.symbol, `Card ${idx} symbol should match`);
-    assertEqual(stateCard.symbolId, internalCard.symbolId, `Card ${idx} symbolId should match`);
+    assertEqual(state.cards[idx].symbol, internalCard.symbol, `Card ${idx} symbol should match`);
+    assertEqual(state.cards[idx].symbolId, internalCard.symbolId, `Card ${idx} symbolId should match`);
   });
+  
+  const hiddenCount = state.cards.filter(card => card.symbol === null).length;
+  assertEqual(hiddenCount, 14, 'All other cards should stay hidden');
 });
 
 // ============================================================
@@ -391,6 +475,349 @@ runner.test('Game ends when all pairs matched', () => {
   assertNotNull(winner, 'Should have a winner or draw');
 });
 
+runner.test('Three player game waits for a full table and rotates turns', () => {
+  const game = new MemoryBattleGame('test-room-3p', { tableSize: 3 });
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  
+  assertEqual(game.startGame(), false, 'Should wait for the third player');
+  
+  game.addPlayer('player3', 'Charlie');
+  assert(game.startGame(), 'Should start with 3 players');
+  
+  game.switchTurn();
+  assertEqual(game.getCurrentPlayer().id, 'player2', 'Should move to player 2');
+  game.switchTurn();
+  assertEqual(game.getCurrentPlayer().id, 'player3', 'Should move to player 3');
+  game.switchTurn();
+  assertEqual(game.getCurrentPlayer().id, 'player1', 'Should wrap back to player 1');
+});
+
+runner.test('Standings share places on equal scores', () => {
+  const game = new MemoryBattleGame('test-room-rank', { tableSize: 4 });
+  ['Alice', 'Bob', 'Charlie', 'Dana'].forEach((name, i) => game.addPlayer(`player${i + 1}`, name));
+  game.startGame();
+  
+  game.players.get('player1').score = 2;
+  game.players.get('player2').score = 3;
+  game.players.get('player3').score = 2;
+  game.players.get('player4').score = 1;
+  game.phase = 'FINISHED';
+  
+  const places = game.getStandings().map(s => `${s.playerId}:${s.place}`);
+  assertEqual(places.join(','), 'player2:1,player1:2,player3:2,player4:4', 'Tied players should share a place');
+  
+  const result = game.getWinner();
+  assertEqual(result.winner.id, 'player2', 'Highest score should win');
+  assertEqual(result.isDraw, false, 'Should not be a draw');
+  
+  game.players.get('player1').score = 3;
+  assertEqual(game.getWinner().isDraw, true, 'Shared first place is a draw');
+});
+
+// ============================================================
+// 對戰模式道具測試
+// ============================================================
+
+function createBattleGame(roomId) {
+  const game = new MemoryBattleGame(roomId, { mode: 'battle' });
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.startGame();
+  return game;
+}
+
+// 讓目前玩家配對一組指定道具的牌
+function matchPowerUpPair(game, powerUp) {
+  const symbolId = game.cards.find(c => !c.isMatched).symbolId;
+  const indices = [];
+  game.cards.forEach((card, idx) => {
+    card.powerUp = card.symbolId === symbolId ? powerUp : null;
+    if (card.symbolId === symbolId) indices.push(idx);
+  });
+  const playerId = game.getCurrentPlayer().id;
+  indices.forEach(idx => game.flipCard(playerId, idx));
+  return game.checkMatch();
+}
+
+// 讓目前玩家翻兩張不同的牌
+function missPair(game) {
+  const playerId = game.getCurrentPlayer().id;
+  const first = game.cards.findIndex(c => !c.isMatched);
+  const second = game.cards.findIndex(c => !c.isMatched && c.symbolId !== game.cards[first].symbolId);
+  game.flipCard(playerId, first);
+  game.flipCard(playerId, second);
+  return game.checkMatch();
+}
+
+runner.test('Battle mode turns some pairs into power-ups', () => {
+  const game = createBattleGame('test-room-battle');
+  const powerCards = game.cards.filter(c => c.powerUp);
+  
+  assertArrayLength(powerCards, 4, '4x4 board should have 2 power-up pairs');
+  powerCards.forEach(card => {
+    const partner = game.cards.find(c => c !== card && c.symbolId === card.symbolId);
+    assertEqual(partner.powerUp, card.powerUp, 'Both cards of a pair share the power-up');
+  });
+  
+  assert(game.getPublicState().cards.every(c => c.powerUp === null), 'Face-down power-ups should be hidden');
+  
+  const classic = new MemoryBattleGame('test-room-classic');
+  classic.addPlayer('player1', 'Alice');
+  classic.addPlayer('player2', 'Bob');
+  classic.startGame();
+  assertEqual(classic.cards.filter(c => c.powerUp).length, 0, 'Classic mode has no power-ups');
+});
+
+runner.test('Steal takes a point from the leading opponent', () => {
+  const game = createBattleGame('test-room-steal');
+  game.players.get('player2').score = 3;
+  
+  const result = matchPowerUpPair(game, 'STEAL');
+  
+  assertEqual(result.powerUp.type, 'STEAL', 'Steal should trigger');
+  assertEqual(result.powerUp.fromPlayerId, 'player2', 'Should steal from player 2');
+  assertEqual(game.players.get('player1').score, 2, 'Matcher gets the pair and the stolen point');
+  assertEqual(game.players.get('player2').score, 2, 'Victim loses a point');
+  assertEqual(game.getPublicState().lastPowerUp.type, 'STEAL', 'Effect should be in public state');
+});
+
+runner.test('Freeze skips the next opponent once', () => {
+  const game = createBattleGame('test-room-freeze');
+  
+  const result = matchPowerUpPair(game, 'FREEZE');
+  assertEqual(result.powerUp.targetPlayerId, 'player2', 'Next player should be frozen');
+  assertEqual(game.getPublicState().players[1].frozen, true, 'Frozen flag should be public');
+  
+  const miss = missPair(game);
+  assertEqual(JSON.stringify(miss.skippedPlayerIds), JSON.stringify(['player2']), 'Player 2 should be skipped');
+  assertEqual(game.getCurrentPlayer().id, 'player1', 'Turn should come back to player 1');
+  
+  missPair(game);
+  assertEqual(game.getCurrentPlayer().id, 'player2', 'Freeze only lasts one turn');
+});
+
+runner.test('Shuffle rearranges only unmatched cards', () => {
+  const game = createBattleGame('test-room-shuffle');
+  const result = matchPowerUpPair(game, 'SHUFFLE');
+  const matchedBefore = game.cards.map((c, idx) => (c.isMatched ? idx : -1)).filter(idx => idx >= 0);
+  
+  assertArrayLength(result.powerUp.cardIndices, 14, 'All 14 unmatched cards should be shuffled');
+  matchedBefore.forEach(idx => assert(game.cards[idx].isMatched, 'Matched cards stay in place'));
+  assertEqual(new Set(game.cards.map(c => c.id)).size, 16, 'No card should be lost');
+});
+
+runner.test('Shuffle renumbers cards so ids cannot be followed', () => {
+  const game = createBattleGame('test-room-shuffle-ids');
+  const symbolById = new Map(game.cards.map(c => [c.id, c.symbolId]));
+  const result = matchPowerUpPair(game, 'SHUFFLE');
+  const state = game.getPublicState();
+
+  assert(state.cards.every((c, idx) => c.id === idx), 'Ids should follow the new positions');
+  const moved = result.powerUp.cardIndices.filter(idx => game.cards[idx].symbolId !== symbolById.get(idx));
+  assert(moved.length > 0, 'Some hidden cards should have moved');
+  moved.forEach(idx => assertEqual(state.cards[idx].symbol, null, 'Moved cards stay face down'));
+});
+
+runner.test('Peek reveals one hidden card to the matcher only', () => {
+  const game = createBattleGame('test-room-peek');
+  const result = matchPowerUpPair(game, 'PEEK');
+  const peeked = game.cards[result.peek.cardIndex];
+  
+  assertEqual(result.peek.card.symbolId, peeked.symbolId, 'Peek should show the real face');
+  assertEqual(peeked.isMatched, false, 'Peeked card should be hidden');
+  assertEqual(result.powerUp.card, undefined, 'Public effect should not include the face');
+  assertEqual(game.getPublicState().cards[result.peek.cardIndex].symbol, null, 'Peeked card stays hidden in state');
+});
+
+runner.test('Extra time is added once to the next clock', () => {
+  const game = createBattleGame('test-room-time');
+  const result = matchPowerUpPair(game, 'EXTRA_TIME');
+  
+  assertEqual(result.powerUp.seconds, EXTRA_TIME_SECONDS, 'Effect should report the bonus');
+  assertEqual(game.takeBonusTime(), EXTRA_TIME_SECONDS, 'Bonus should be available');
+  assertEqual(game.takeBonusTime(), 0, 'Bonus should only be used once');
+});
+
+// ============================================================
+// 單人計時賽測試
+// ============================================================
+
+runner.test('Solo mode starts with one player', () => {
+  const game = new MemoryBattleGame('test-room-solo', { mode: 'solo', tableSize: 4 });
+  game.addPlayer('player1', 'Alice');
+  
+  assertEqual(game.maxPlayers, 1, 'Solo table has one seat');
+  assertEqual(game.addPlayer('player2', 'Bob'), false, 'Second player should be rejected');
+  assert(game.startGame(), 'Solo game should start with one player');
+  
+  missPair(game);
+  assertEqual(game.getCurrentPlayer().id, 'player1', 'Turn should stay with the solo player');
+  assertEqual(game.flipCount, 2, 'Flips should be counted');
+});
+
+runner.test('Solo result scores flips and time', () => {
+  const game = new MemoryBattleGame('test-room-solo-score', { mode: 'solo' });
+  game.addPlayer('player1', 'Alice');
+  game.startGame();
+  
+  game.flipCount = 20; // 完美是 16 次，多翻 4 次
+  game.startedAt = 1000;
+  game.finishedAt = 31500; // 30.5 秒
+  
+  const result = game.getSoloResult();
+  assertEqual(result.flips, 20, 'Flips should be reported');
+  assertEqual(result.elapsedMs, 30500, 'Elapsed time should be reported');
+  assertEqual(result.score, 8 * 100 - 4 * 5 - 30 * 2, 'Score should subtract penalties');
+});
+
+runner.test('Bot players are labelled in state and standings', () => {
+  const game = new MemoryBattleGame('test-room-bot');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('bot-1', 'Robo (Bot)', { isBot: true });
+  
+  const state = game.getPublicState();
+  assertEqual(state.players.find(p => p.id === 'bot-1').isBot, true, 'Bot should be labelled');
+  assertEqual(state.players.find(p => p.id === 'player1').isBot, false, 'Human should not be labelled');
+  assert(game.getStandings().some(s => s.playerId === 'bot-1' && s.isBot), 'Standings should label bots');
+});
+
+runner.test('Hard bot flips a remembered pair', () => {
+  const bot = new MemoryBattleBot('bot-1', 'hard', 1);
+  bot.remember(3, 7);
+  bot.remember(9, 7);
+  
+  const first = bot.chooseCard([0, 1, 2, 3, 4, 9]);
+  assert(first === 3 || first === 9, 'Bot should start with a known pair');
+  assertEqual(bot.chooseCard([0, 1, 2, 4, 9], { cardIndex: 3, symbolId: 7 }), 9, 'Bot should flip the partner');
+});
+
+runner.test('Bot forgets matched cards and prefers unseen ones', () => {
+  const bot = new MemoryBattleBot('bot-1', 'easy', 2);
+  bot.remember(0, 1);
+  bot.remember(1, 1);
+  bot.remember(2, 5);
+  bot.forget([0, 1]);
+  
+  assertEqual(bot.memory.size, 1, 'Matched cards should be forgotten');
+  for (let i = 0; i < 10; i++) {
+    assert(bot.chooseCard([2, 3, 4]) !== 2, 'Bot should not waste a flip on a known single');
+  }
+});
+
+runner.test('Ready check needs every seat filled and ready', () => {
+  const game = new MemoryBattleGame('test-room-ready');
+  game.addPlayer('player1', 'Alice');
+  
+  assertEqual(game.setReady('player1', true).allReady, false, 'A half-empty table is not ready');
+  game.addPlayer('player2', 'Bob');
+  assertEqual(game.getPublicState().allReady, false, 'New player starts unready');
+  assertEqual(game.setReady('player2', true).allReady, true, 'Everyone is ready');
+  
+  game.setReady('player1', false);
+  assertEqual(game.getPublicState().players[0].isReady, false, 'Unready should show in state');
+  assertEqual(game.isEveryoneReady(), false, 'Unready player blocks the start');
+  
+  game.setReady('player1', true);
+  game.startGame();
+  assertEqual(game.setReady('player1', false).success, false, 'Cannot unready after the start');
+});
+
+runner.test('Rematch needs every player to agree', () => {
+  const game = new MemoryBattleGame('test-room-rematch');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.startGame();
+  
+  assertEqual(game.voteRematch('player1', true).success, false, 'No vote before the game ends');
+  game.phase = 'FINISHED';
+  game.openRematchVote(Date.now() + 30000);
+  
+  assertEqual(game.voteRematch('player1', true).status, 'PENDING', 'One vote is not enough');
+  assertEqual(game.getPublicState().rematch.votes.player1, true, 'Votes should show in state');
+  assertEqual(game.voteRematch('player2', true).status, 'ACCEPTED', 'All votes accept the rematch');
+  
+  game.startGame();
+  assertEqual(game.getPublicState().rematch, null, 'Vote is cleared by the new game');
+});
+
+runner.test('Rematch is declined by a no vote or a leaving player', () => {
+  const game = new MemoryBattleGame('test-room-rematch-no');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.phase = 'FINISHED';
+  game.openRematchVote(Date.now() + 30000);
+  
+  assertEqual(game.voteRematch('player2', false).status, 'DECLINED', 'A no vote declines');
+  
+  game.openRematchVote(Date.now() + 30000);
+  game.voteRematch('player1', true);
+  game.removePlayer('player2');
+  assertEqual(game.getRematchStatus(), 'DECLINED', 'A missing player declines');
+});
+
+runner.test('Disconnect pauses the game until everyone is back', () => {
+  const game = new MemoryBattleGame('test-room-pause');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.startGame();
+  
+  assert(game.pause('player2', Date.now() + 30000), 'Game should pause mid-game');
+  assert(game.getPublicState().paused.reconnectDeadlines.player2, 'Paused state shows the reconnect window');
+  assertEqual(game.flipCard('player1', 0).success, false, 'No flips while paused');
+  assertEqual(game.getLegalMoves('player1').isTurn, false, 'No legal moves while paused');
+  
+  assert(game.resume('player2'), 'Game should resume when the player returns');
+  assertEqual(game.getPublicState().paused, null, 'Paused state should clear');
+  assert(game.flipCard('player1', 0).success, 'Flips work again');
+});
+
+runner.test('Forfeit ends the game with the opponent winning', () => {
+  const game = new MemoryBattleGame('test-room-forfeit');
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.startGame();
+  game.players.get('player2').score = 3;
+  
+  assert(game.forfeit('player2'), 'Forfeit should end a running game');
+  assertEqual(game.phase, 'FINISHED', 'Game should be finished');
+  const { winner, standings } = game.getWinner();
+  assertEqual(winner.id, 'player1', 'Opponent wins by forfeit despite the score');
+  assertEqual(standings[1].forfeited, true, 'Forfeit should show in standings');
+});
+
+runner.test('Forfeit at a three-player table removes the player and play goes on', () => {
+  const game = new MemoryBattleGame('test-room-forfeit-3p', { tableSize: 3 });
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.addPlayer('player3', 'Carol');
+  game.startGame();
+  game.cards[0].matchedBy = 2;
+  game.cards[0].isMatched = true;
+  game.pause('player2', Date.now() + 30000);
+
+  assert(game.forfeit('player2'), 'Forfeit should be accepted');
+  assertEqual(game.phase, 'PLAYING', 'Game should go on');
+  assertEqual(game.playerCount, 2, 'Forfeiting player should be removed');
+  assertEqual(game.isPaused, false, 'Clock should no longer wait for the player');
+  assertEqual(game.getCurrentPlayer().id, 'player1', 'Current turn should stay');
+  assertEqual(game.cards[0].matchedBy, 1, 'Matches should follow the seats that moved up');
+});
+
+runner.test('Forfeit on your own turn passes the turn to the next seat', () => {
+  const game = new MemoryBattleGame('test-room-forfeit-turn', { tableSize: 3 });
+  game.addPlayer('player1', 'Alice');
+  game.addPlayer('player2', 'Bob');
+  game.addPlayer('player3', 'Carol');
+  game.startGame();
+  game.flipCard('player1', 0);
+
+  assert(game.forfeit('player1'), 'Forfeit should be accepted');
+  assertEqual(game.getCurrentPlayer().id, 'player2', 'Next seat should play');
+  assertEqual(game.cards[0].isFlipped, false, 'Half-flipped card should be turned back');
+  assertEqual(game.flipCard('player2', 1).success, true, 'Next player can flip');
+});
+
 // ============================================================
 // 運行所有測試
 // ============================================================
@@ -0,0 +1,57 @@
+/**
+ * 可指定種子的亂數產生器
+ * 所有遊戲的洗牌與發牌都透過這裡，同樣的種子加上同樣的操作會得到同樣的對局
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 把種子（數字或字串）轉成 32 位元無號整數；沒有提供時隨機產生
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  if (typeof seed === 'string' && seed.length > 0) {
+    // FNV-1a 雜湊
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  return crypto.randomBytes(4).readUInt32LE(0);
+}
+
+/**
+ * 建立 mulberry32 產生器，回傳值落在 [0, 1)，用法與 Math.random 相同
+ */
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates 洗牌，回傳新陣列
+ */
+function shuffle(array, random) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = {
+  normalizeSeed,
+  createRandom,
+  shuffle
+};
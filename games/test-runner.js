@@ -0,0 +1,89 @@
+/**
+ * 共用的測試工具
+ * 各遊戲的 test.js 與根目錄的伺服器測試都用這裡的 TestRunner 與斷言函數
+ */
+
+class TestRunner {
+  /**
+   * @param {string} title - 開始時顯示的名稱，例如 'Love Letter'
+   */
+  constructor(title) {
+    this.title = title;
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+  }
+
+  test(name, fn) {
+    this.tests.push({ name, fn });
+  }
+
+  async run() {
+    console.log(`\n🧪 Running ${this.title} Tests...\n`);
+    console.log('='.repeat(60));
+
+    for (const test of this.tests) {
+      try {
+        await test.fn();
+        this.passed++;
+        console.log(`✅ PASS: ${test.name}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ FAIL: ${test.name}`);
+        console.log(`   Error: ${error.message}`);
+        if (error.expected !== undefined) {
+          console.log(`   Expected: ${JSON.stringify(error.expected)}`);
+          console.log(`   Received: ${JSON.stringify(error.received)}`);
+        }
+      }
+    }
+
+    console.log('='.repeat(60));
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+    console.log(`Total: ${this.passed + this.failed} tests\n`);
+
+    return this.failed === 0;
+  }
+}
+
+// 斷言函數
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    const error = new Error(message || `Expected ${expected}, got ${actual}`);
+    error.expected = expected;
+    error.received = actual;
+    throw error;
+  }
+}
+
+function assertNotNull(value, message) {
+  if (value === null || value === undefined) {
+    throw new Error(message || 'Expected non-null value');
+  }
+}
+
+function assertArrayLength(array, length, message) {
+  if (!Array.isArray(array)) {
+    throw new Error('Expected an array');
+  }
+  if (array.length !== length) {
+    const error = new Error(message || `Expected array length ${length}, got ${array.length}`);
+    error.expected = length;
+    error.received = array.length;
+    throw error;
+  }
+}
+
+module.exports = {
+  TestRunner,
+  assert,
+  assertEqual,
+  assertNotNull,
+  assertArrayLength
+};
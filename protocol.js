@@ -0,0 +1,195 @@
+/**
+ * 訊息協定
+ *
+ * 第 2 版起所有訊息使用同一種信封：
+ *   { v: 2, type: 'PLAY_CARD', id: 'req-1', payload: { ... } }
+ * 伺服器回覆同樣格式，由某個請求引起的訊息會帶回該請求的 id。
+ *
+ * 沒有 v 欄位的訊息視為舊版（第 1 版）：欄位放在 data、payload 或直接放在最外層，
+ * 伺服器也以舊格式回覆，讓舊的前端在過渡期間繼續運作。
+ */
+
+const PROTOCOL_VERSION = 2;
+const LEGACY_VERSION = 1;
+const SUPPORTED_VERSIONS = [LEGACY_VERSION, PROTOCOL_VERSION];
+
+// 錯誤代碼
+const ERROR_CODES = {
+  BAD_MESSAGE: 'BAD_MESSAGE', // 不是 JSON 或缺少 type
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE', // 這款遊戲沒有這種訊息
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD', // 欄位不符合訊息的結構
+  ACTION_REJECTED: 'ACTION_REJECTED', // 遊戲規則不允許（不是你的回合、房間已滿等）
+  RATE_LIMITED: 'RATE_LIMITED', // 送得太快（聊天）
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+const MESSAGE_ID_MAX_LENGTH = 64;
+
+/**
+ * 解析收到的訊息
+ * @returns {{ success: true, version, type, id, payload } | { success: false, code, message, id? }}
+ */
+function parseMessage(raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch (err) {
+    return { success: false, code: ERROR_CODES.BAD_MESSAGE, message: 'Message is not valid JSON' };
+  }
+  if (!isPlainObject(msg)) {
+    return { success: false, code: ERROR_CODES.BAD_MESSAGE, message: 'Message must be a JSON object' };
+  }
+
+  const version = msg.v === undefined ? LEGACY_VERSION : msg.v;
+  const id = isValidId(msg.id) ? msg.id : undefined;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return {
+      success: false,
+      code: ERROR_CODES.UNSUPPORTED_VERSION,
+      message: `Protocol version ${version} is not supported`,
+      id,
+    };
+  }
+  if (typeof msg.type !== 'string' || msg.type.length === 0) {
+    return { success: false, code: ERROR_CODES.BAD_MESSAGE, message: 'Message type is required', id };
+  }
+
+  if (version === PROTOCOL_VERSION) {
+    if (msg.payload !== undefined && !isPlainObject(msg.payload)) {
+      return { success: false, code: ERROR_CODES.BAD_MESSAGE, message: 'payload must be an object', id };
+    }
+    return { success: true, version, type: msg.type, id, payload: msg.payload || {} };
+  }
+
+  // 舊版：Love Letter 放在 data，Memory Battle 放在 payload 或最外層
+  const { type, data, payload, ...rest } = msg;
+  const fields = isPlainObject(payload) ? payload : isPlainObject(data) ? data : rest;
+  return { success: true, version, type, id: undefined, payload: fields };
+}
+
+/**
+ * 依訊息的結構檢查欄位，沒列在結構中的欄位不檢查（舊版前端會多送 playerId 之類的欄位）
+ * 結構的寫法與遊戲模組的 settings 相同：{ 欄位: { type, required, ... } }
+ * @returns {Array<{ field: string, message: string }>} 空陣列表示通過
+ */
+function validatePayload(payload, schema = {}) {
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+    const message = checkValue(value, rule);
+    if (message) {
+      errors.push({ field, message });
+    }
+  }
+  return errors;
+}
+
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+      }
+      return null;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+    case 'seed':
+      return typeof value === 'number' || typeof value === 'string' ? null : 'must be a number or string';
+    case 'grid':
+      return typeof value === 'string' && /^\d+x\d+$/.test(value) ? null : 'must look like 4x4';
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `must have at most ${rule.maxItems} items`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 取出訊息內容：Love Letter 的訊息放在 data，Memory Battle 放在最外層
+ */
+function getMessagePayload(message) {
+  const { type, data, ...rest } = message;
+  return { ...(isPlainObject(data) ? data : rest) };
+}
+
+/**
+ * 把伺服器內部的訊息轉成送給某個連線的字串
+ * @param {Object} client - { version, requestId }；舊版連線直接送原本的格式
+ */
+function encodeMessage(message, client = {}) {
+  if (client.version !== PROTOCOL_VERSION) {
+    return JSON.stringify(message);
+  }
+
+  const payload = getMessagePayload(message);
+  if (message.type === 'ERROR' && !payload.code) {
+    payload.code = ERROR_CODES.ACTION_REJECTED;
+  }
+  const envelope = { v: PROTOCOL_VERSION, type: message.type };
+  if (client.requestId !== undefined) {
+    envelope.id = client.requestId;
+  }
+  envelope.payload = payload;
+  return JSON.stringify(envelope);
+}
+
+/**
+ * 伺服器自己發出的訊息，舊版連線依遊戲的格式把欄位放在 data 或最外層
+ * @param {string} legacyFormat - 'data' 或 'flat'
+ */
+function formatMessage(type, fields, legacyFormat = 'flat') {
+  return legacyFormat === 'data'
+    ? { type, data: fields }
+    : { type, ...fields };
+}
+
+/**
+ * 協定層的錯誤回覆
+ */
+function createErrorMessage(code, message, { requestType, details, legacyFormat } = {}) {
+  const error = { code, message };
+  if (requestType) error.requestType = requestType;
+  if (details) error.details = details;
+  return formatMessage('ERROR', error, legacyFormat);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isValidId(id) {
+  return (typeof id === 'string' && id.length > 0 && id.length <= MESSAGE_ID_MAX_LENGTH) ||
+    Number.isInteger(id);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  LEGACY_VERSION,
+  SUPPORTED_VERSIONS,
+  ERROR_CODES,
+  parseMessage,
+  validatePayload,
+  getMessagePayload,
+  encodeMessage,
+  formatMessage,
+  createErrorMessage,
+};
@@ -8,23 +8,37 @@
 
 const WebSocket = require('ws');
 const http = require('http');
-const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  PROTOCOL_VERSION,
+  LEGACY_VERSION,
+  SUPPORTED_VERSIONS,
+  ERROR_CODES,
+  parseMessage,
+  validatePayload,
+  getMessagePayload,
+  encodeMessage,
+  formatMessage,
+  createErrorMessage,
+} = require('./protocol');
+const { ChatRoom, CHAT_CONFIG, REACTIONS } = require('./chat');
 
 const VERSION = '2.0.0';
 const PORT = process.env.PORT || 8089;
 
-// 載入遊戲模組
-const games = {
-  'love-letter': require('./games/love-letter'),
-  'memory-battle': require('./games/memory-battle')
-};
+// 載入遊戲模組：games/ 底下每個有 module.js 的資料夾就是一款遊戲（模組介面見 games/README.md）
+const GAMES_DIR = path.join(__dirname, 'games');
+const REQUIRED_MODULE_FIELDS = ['id', 'name', 'minPlayers', 'maxPlayers', 'createGame', 'getPlayerView', 'messages'];
+const games = loadGames(GAMES_DIR);
+
+// 連線網址沒有指定（或指定了不存在的）遊戲時使用：標記 isDefault 的模組，沒有的話用第一個
+const DEFAULT_GAME = (Object.values(games).find(game => game.isDefault) || Object.values(games)[0]).id;
 
 // 房間管理
 const rooms = new Map();
 
-// Memory Battle 專用 - 等待配對的房間
-const memoryBattleQueue = new Map(); // gridSize -> roomId
-
 // 清理配置
 const CLEANUP_CONFIG = {
   INTERVAL_MS: 5 * 60 * 1000, // 每 5 分鐘檢查一次
@@ -43,6 +57,30 @@ const RECONNECT_CONFIG = {
 // 斷線玩家記錄
 const disconnectedPlayers = new Map(); // playerId -> { roomId, disconnectTime, playerData }
 
+// 對局紀錄配置
+const REPLAY_CONFIG = {
+  MAX_EVENTS: 5000, // 每場對局最多記錄的事件數
+  MAX_REPLAYS: 100, // 伺服器保留最近幾場對局的回放
+};
+
+// 不寫入對局紀錄的訊息（倒數計時之類的雜訊）
+const UNRECORDED_MESSAGES = new Set(['TURN_TIME_UPDATE', 'SPECTATORS_CHANGED', 'PLAYER_MUTED']);
+
+// 已結束對局的回放
+const replays = new Map(); // replayId -> replay
+
+// 觀戰配置
+const SPECTATOR_CONFIG = {
+  MAX_PER_ROOM: 50,
+  MAX_DELAY_SECONDS: 300, // 延遲觀戰最多幾秒（觀眾晚一點看到，就無法即時轉述隱藏資訊）
+};
+
+// 每條 WebSocket 連線的狀態（協定版本、目前處理中的請求 id、座位）
+const connections = new WeakMap(); // WebSocket -> conn
+
+// 伺服器發給玩家的會話憑證，用來確認身份與斷線重連
+const sessions = new Map(); // sessionToken -> { playerId, roomId, gameType }
+
 // 建立 HTTP 伺服器
 const server = http.createServer((req, res) => {
   res.setHeader('Content-Type', 'application/json');
@@ -63,34 +101,71 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // 列出所有房間
+  // 列出所有房間（遊戲自己的欄位由模組的 describeRoom 提供）
   if (url === '/rooms') {
     const roomList = [];
     for (const [id, room] of rooms) {
       roomList.push({
         id,
-        game: room.game.gameName,
+        game: room.gameType,
         players: room.game.playerCount,
         maxPlayers: room.game.maxPlayers,
-        phase: room.game.phase
+        phase: room.game.phase,
+        spectators: room.spectators.size,
+        spectatorDelayMs: room.spectatorDelayMs,
+        ...games[room.gameType].describeRoom?.(room)
       });
     }
     res.end(JSON.stringify({ rooms: roomList }));
     return;
   }
 
-  // 列出支援的遊戲
+  // 列出支援的遊戲（含各自的房間設定）
   if (url === '/games') {
-    const gameList = Object.keys(games).map(key => ({
-      id: key,
-      name: key,
-      minPlayers: 2,
-      maxPlayers: key === 'memory-battle' ? 2 : 4
+    const gameList = Object.values(games).map(game => ({
+      id: game.id,
+      name: game.name,
+      minPlayers: game.minPlayers,
+      maxPlayers: game.maxPlayers,
+      settings: game.settings || {}
     }));
     res.end(JSON.stringify({ games: gameList }));
     return;
   }
 
+  // 最近結束的對局回放列表
+  if (url === '/replays') {
+    const replayList = [...replays.values()].map(({ events, ...summary }) => ({
+      ...summary,
+      eventCount: events.length
+    }));
+    res.end(JSON.stringify({ replays: replayList }));
+    return;
+  }
+
+  // 下載單場對局回放
+  const replayMatch = url.match(/^\/replays\/([\w-]+)$/);
+  if (replayMatch) {
+    const replay = replays.get(replayMatch[1]);
+    if (!replay) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: 'Replay not found' }));
+      return;
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="replay-${replay.id}.json"`);
+    res.end(JSON.stringify(replay, null, 2));
+    return;
+  }
+
+  // 遊戲模組自己的查詢（例如排行榜）
+  for (const game of Object.values(games)) {
+    const body = game.handleHttp?.(url);
+    if (body) {
+      res.end(JSON.stringify(body));
+      return;
+    }
+  }
+
   res.statusCode = 404;
   res.end(JSON.stringify({ error: 'Not found' }));
 });
@@ -102,28 +177,33 @@ const wss = new WebSocket.Server({ server });
  * 房間類別 - 通用房間管理
  */
 class GameRoom {
-  constructor(roomId, gameType) {
+  constructor(roomId, gameType, options = {}) {
     this.roomId = roomId;
     this.gameType = gameType;
     this.sockets = new Map(); // playerId -> WebSocket
     this.hostId = null;
-    this.turnTimer = null;
+    this.timers = new Map(); // 名稱 -> 計時器（回合倒數、電腦玩家思考時間等）
     this.createdAt = Date.now(); // 記錄創建時間
+    this.events = []; // 本場對局的事件紀錄（結束後存成回放）
+    this.bots = new Map(); // playerId -> 電腦玩家
+    this.spectators = new Map(); // spectatorId -> { id, name, socket, pending }
+    this.chat = new ChatRoom(); // 玩家與觀眾各自的聊天頻道（不寫入對局紀錄）
 
-    // 根據遊戲類型建立遊戲實例
-    if (gameType === 'memory-battle') {
-      const { MemoryBattleGame } = games['memory-battle'];
-      this.game = new MemoryBattleGame(roomId);
-    } else {
-      const GameClass = games[gameType]?.LoveLetterGame || games['love-letter'].LoveLetterGame;
-      this.game = new GameClass(roomId);
-    }
+    // 延遲觀戰：觀眾收到的訊息比玩家晚這麼多毫秒（0 表示即時）
+    const delaySeconds = Math.min(Math.max(Number(options.spectatorDelay) || 0, 0), SPECTATOR_CONFIG.MAX_DELAY_SECONDS);
+    this.spectatorDelayMs = delaySeconds * 1000;
+
+    // 由遊戲模組建立遊戲實例
+    this.game = games[gameType].createGame(roomId, options);
 
     // 初始化活動時間
     updateRoomActivity(roomId);
   }
 
-  addPlayer(playerId, playerName, socket, isHost, avatar) {
+  /**
+   * 玩家坐上座位；房主由伺服器決定：第一位坐下的真人（開房的人），不看前端送來的資料
+   */
+  addPlayer(playerId, playerName, socket, avatar) {
     if (!this.game.addPlayer(playerId, playerName)) {
       return false;
     }
@@ -133,361 +213,504 @@ class GameRoom {
       player.avatar = avatar;
     }
     this.sockets.set(playerId, socket);
-    if (isHost || !this.hostId) {
+    if (!this.hostId) {
       this.hostId = playerId;
     }
     return true;
   }
 
-  removePlayer(playerId) {
-    this.game.removePlayer(playerId);
-    this.sockets.delete(playerId);
-    if (this.hostId === playerId && this.game.playerCount > 0) {
-      this.hostId = this.game.players.keys().next().value;
-    }
-    if (this.turnTimer) {
-      clearInterval(this.turnTimer);
-      this.turnTimer = null;
+  // 加入電腦玩家（沒有連線，只在伺服器端行動）
+  addBot(playerId, playerName, bot) {
+    if (!this.game.addPlayer(playerId, playerName, { isBot: true })) {
+      return false;
     }
+    this.bots.set(playerId, bot);
+    return true;
   }
 
-  broadcast(message) {
-    const json = JSON.stringify(message);
-    for (const socket of this.sockets.values()) {
-      if (socket.readyState === WebSocket.OPEN) {
-        socket.send(json);
-      }
+  /**
+   * 加入觀眾：只收公開廣播，不佔座位，也不參與回合與勝負判定
+   */
+  addSpectator(spectatorId, name, socket) {
+    if (this.spectators.size >= SPECTATOR_CONFIG.MAX_PER_ROOM) {
+      return false;
     }
+    this.spectators.set(spectatorId, { id: spectatorId, name, socket, pending: new Set() });
+    return true;
   }
 
-  sendTo(playerId, message) {
-    const socket = this.sockets.get(playerId);
-    if (socket && socket.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify(message));
-    }
+  removeSpectator(spectatorId) {
+    const spectator = this.spectators.get(spectatorId);
+    if (!spectator) return;
+    spectator.pending.forEach(timer => clearTimeout(timer));
+    this.spectators.delete(spectatorId);
   }
-}
 
-// ============================================
-// Memory Battle 專用處理函數
-// ============================================
-
-function handleMemoryBattleAction(room, ws, action, data, playerId) {
-  const game = room.game;
+  sendToSpectators(message) {
+    for (const spectatorId of this.spectators.keys()) {
+      this.sendToSpectator(spectatorId, message);
+    }
+  }
 
-  // 記錄房間活動
-  updateRoomActivity(room.roomId);
+  // 延遲觀戰時先排進佇列，依序在延遲後送出
+  sendToSpectator(spectatorId, message) {
+    const spectator = this.spectators.get(spectatorId);
+    if (!spectator) return;
 
-  switch (action) {
-    case 'FLIP_CARD': {
-      const result = game.flipCard(playerId, data.cardIndex);
+    if (this.spectatorDelayMs === 0) {
+      sendMessage(spectator.socket, message);
+      return;
+    }
+    const timer = setTimeout(() => {
+      spectator.pending.delete(timer);
+      sendMessage(spectator.socket, message);
+    }, this.spectatorDelayMs);
+    spectator.pending.add(timer);
+  }
 
-      if (!result.success) {
-        ws.send(JSON.stringify({ type: 'ERROR', message: result.message }));
-        return;
-      }
+  /**
+   * 聊天訊息只送給同一個頻道的人，觀眾頻道不延遲
+   */
+  sendToChannel(channel, message) {
+    const sockets = channel === 'spectators'
+      ? [...this.spectators.values()].map(spectator => spectator.socket)
+      : this.sockets.values();
+    for (const socket of sockets) {
+      sendMessage(socket, message);
+    }
+  }
 
-      // 廣播翻牌
-      room.broadcast({
-        type: 'CARD_FLIPPED',
-        cardIndex: result.cardIndex,
-        card: result.card,
-        playerId,
-      });
+  // 真人玩家數（房間只剩電腦玩家時視為空房）
+  get humanCount() {
+    return this.game.playerCount - this.bots.size;
+  }
 
-      // 如果翻了兩張，檢查配對
-      if (game.flippedIndices.length === 2) {
-        setTimeout(() => {
-          const matchResult = game.checkMatch();
-          if (matchResult) {
-            room.broadcast({
-              type: 'MATCH_RESULT',
-              ...matchResult,
-            });
-
-            if (matchResult.isMatch) {
-              // 配對成功，重置計時器
-              startMemoryBattleTurnTimer(room);
-
-              if (matchResult.isGameOver) {
-                endMemoryBattleGame(room);
-              }
-            } else {
-              // 不配對，換回合
-              room.broadcast({
-                type: 'TURN_CHANGED',
-                currentPlayerIndex: game.currentPlayerIndex,
-                roomState: game.getPublicState(),
-              });
-              startMemoryBattleTurnTimer(room);
-            }
-          }
-        }, 800);
-      }
-      break;
-    }
+  removePlayer(playerId) {
+    // 房主離開時由座位順序的下一位真人接手
+    const seats = [...this.game.players.keys()];
+    const index = seats.indexOf(playerId);
+    const nextHumans = [...seats.slice(index + 1), ...seats.slice(0, index)].filter(id => !this.bots.has(id));
 
-    case 'REMATCH': {
-      if (game.phase === 'FINISHED' && game.playerCount === 2) {
-        game.startGame();
-        room.broadcast({
-          type: 'GAME_STARTED',
-          roomState: game.getPublicState(),
-        });
-        startMemoryBattleTurnTimer(room);
-      }
-      break;
+    this.game.removePlayer(playerId);
+    this.sockets.delete(playerId);
+    this.bots.delete(playerId);
+    if (this.hostId === playerId) {
+      this.hostId = nextHumans[0] || null;
     }
+    this.clearTimer('turn');
   }
-}
 
-function startMemoryBattleTurnTimer(room) {
-  const game = room.game;
-  const { TURN_TIME_LIMIT } = games['memory-battle'];
+  /**
+   * 設定房間計時器，同名的舊計時器會先取消；房間關閉時全部清除
+   * @param {boolean} repeat - true 時每隔 ms 重複執行（回合倒數），否則只執行一次
+   */
+  setTimer(name, callback, ms, repeat = false) {
+    this.clearTimer(name);
+    const timer = repeat
+      ? setInterval(callback, ms)
+      : setTimeout(() => {
+        this.timers.delete(name);
+        callback();
+      }, ms);
+    this.timers.set(name, timer);
+  }
 
-  if (room.turnTimer) {
-    clearInterval(room.turnTimer);
+  clearTimer(name) {
+    const timer = this.timers.get(name);
+    if (timer) {
+      clearTimeout(timer); // 對 setInterval 的計時器同樣有效
+      this.timers.delete(name);
+    }
   }
 
-  game.turnTimeLeft = TURN_TIME_LIMIT;
+  hasTimer(name) {
+    return this.timers.has(name);
+  }
 
-  room.turnTimer = setInterval(() => {
-    game.turnTimeLeft--;
+  clearTimers() {
+    for (const name of [...this.timers.keys()]) {
+      this.clearTimer(name);
+    }
+  }
 
-    if (game.turnTimeLeft <= 0) {
-      // 時間到 - 換回合
-      handleMemoryBattleTimeout(room);
-    } else if (game.turnTimeLeft <= 10) {
-      // 發送警告
-      room.broadcast({
-        type: 'TURN_TIME_UPDATE',
-        timeLeft: game.turnTimeLeft,
-        isWarning: true,
-      });
+  /**
+   * 記錄對局事件
+   * @param {string[]|null} visibleTo - 可以看到這個事件的玩家；null 表示公開，空陣列表示只有伺服器知道（如牌堆順序）
+   */
+  recordEvent(type, data, visibleTo = null) {
+    if (this.events.length >= REPLAY_CONFIG.MAX_EVENTS) return;
+
+    const event = {
+      seq: this.events.length + 1,
+      timestamp: Date.now(),
+      type,
+      visibility: visibleTo === null ? 'public' : visibleTo.length > 0 ? 'private' : 'hidden',
+      data
+    };
+    if (visibleTo && visibleTo.length > 0) {
+      event.visibleTo = visibleTo;
     }
-  }, 1000);
-}
+    this.events.push(event);
+  }
 
-function handleMemoryBattleTimeout(room) {
-  const game = room.game;
+  // 把送出的訊息寫入紀錄，略過每次都會重送的狀態快照
+  recordMessage(message, visibleTo = null) {
+    if (UNRECORDED_MESSAGES.has(message.type)) return;
 
-  console.log(`[Memory Battle] Time's up in room ${room.roomId}`);
+    const eventData = getMessagePayload(message);
+    delete eventData.state;
+    delete eventData.roomState;
+    delete eventData.legalMoves;
+    this.recordEvent(message.type, eventData, visibleTo);
+  }
 
-  // 翻回任何已翻的卡片
-  game.switchTurn();
+  /**
+   * 對局結束時把事件紀錄存成回放，下一場重新記錄
+   */
+  saveReplay(replayId) {
+    const players = [...this.game.players.values()].map(p => ({ id: p.id, name: p.name }));
+    replays.set(replayId, {
+      id: replayId,
+      roomId: this.roomId,
+      gameType: this.gameType,
+      ...games[this.gameType].replayMeta?.(this), // 重現對局需要的設定（種子、規則版本、棋盤等）
+      players,
+      startedAt: this.events[0]?.timestamp || this.createdAt,
+      endedAt: Date.now(),
+      events: this.events
+    });
+    this.events = [];
 
-  room.broadcast({
-    type: 'TURN_TIMEOUT',
-    currentPlayerIndex: game.currentPlayerIndex,
-    roomState: game.getPublicState(),
-  });
+    // 只保留最近的回放
+    while (replays.size > REPLAY_CONFIG.MAX_REPLAYS) {
+      replays.delete(replays.keys().next().value);
+    }
+  }
 
-  startMemoryBattleTurnTimer(room);
-}
+  broadcast(message) {
+    this.recordMessage(message);
+    for (const socket of this.sockets.values()) {
+      sendMessage(socket, message);
+    }
+    this.sendToSpectators(message);
+  }
 
-function endMemoryBattleGame(room) {
-  const game = room.game;
+  sendTo(playerId, message, record = true) {
+    if (record) {
+      this.recordMessage(message, [playerId]);
+    }
+    const socket = this.sockets.get(playerId);
+    if (socket) {
+      sendMessage(socket, message);
+    }
+  }
+}
 
-  if (room.turnTimer) {
-    clearInterval(room.turnTimer);
-    room.turnTimer = null;
+/**
+ * 依連線使用的協定版本送出訊息（舊版前端收到原本的格式）
+ */
+function sendMessage(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(encodeMessage(message, connections.get(socket)));
   }
+}
 
-  const winnerData = game.getWinner();
-  const playerArray = Array.from(game.players.values());
+// ============================================
+// 會話憑證
+// ============================================
 
-  room.broadcast({
-    type: 'GAME_ENDED',
-    winnerId: winnerData?.winner?.id || null,
-    isDraw: winnerData?.isDraw || false,
-    finalScores: {
-      [playerArray[0]?.id]: playerArray[0]?.score || 0,
-      [playerArray[1]?.id]: playerArray[1]?.score || 0,
-    },
-    roomState: game.getPublicState(),
-  });
+/**
+ * 發出新的會話憑證，綁定玩家座位
+ */
+function createSession(playerId, roomId, gameType) {
+  const token = crypto.randomBytes(24).toString('hex');
+  sessions.set(token, { playerId, roomId, gameType });
+  return token;
 }
 
-function findOrCreateMemoryBattleRoom(gridSize) {
-  // 檢查是否有等待中的房間
-  const waitingRoomId = memoryBattleQueue.get(gridSize);
-  if (waitingRoomId) {
-    const room = rooms.get(waitingRoomId);
-    if (room && room.game.playerCount === 1 && room.game.phase === 'WAITING') {
-      memoryBattleQueue.delete(gridSize);
-      return room;
+/**
+ * 玩家正式離開房間後作廢其憑證
+ */
+function revokeSessions(playerId) {
+  for (const [token, session] of sessions) {
+    if (session.playerId === playerId) {
+      sessions.delete(token);
     }
-    // 房間無效，移除
-    memoryBattleQueue.delete(gridSize);
   }
+}
 
-  // 建立新房間
-  const roomId = uuidv4().slice(0, 8).toUpperCase();
-  const room = new GameRoom(roomId, 'memory-battle');
-  room.game.setGridSize(gridSize);
-  rooms.set(roomId, room);
-  memoryBattleQueue.set(gridSize, roomId);
+/**
+ * 房間關閉後作廢房間裡所有座位的憑證
+ */
+function revokeRoomSessions(roomId) {
+  for (const [token, session] of sessions) {
+    if (session.roomId === roomId) {
+      sessions.delete(token);
+    }
+  }
+}
 
-  console.log(`[Memory Battle] Created room ${roomId} with grid ${gridSize}`);
-  return room;
+/**
+ * 以憑證找回斷線中的座位，找不到或座位仍在線上時回傳 null
+ */
+function findReconnectSession(token, gameType) {
+  const session = token ? sessions.get(token) : null;
+  if (!session || session.gameType !== gameType) return null;
+  const disconnectInfo = disconnectedPlayers.get(session.playerId);
+  if (!disconnectInfo || disconnectInfo.roomId !== session.roomId) return null;
+  return { ...session, disconnectInfo };
 }
 
 // ============================================
-// Love Letter 原有處理函數
+// 遊戲模組
 // ============================================
 
-function handleGameAction(room, action, data) {
-  const game = room.game;
-
-  switch (action) {
-    case 'START_GAME':
-      if (game.playerCount < game.minPlayers) {
-        room.broadcast({ type: 'ERROR', data: { message: `需要至少 ${game.minPlayers} 位玩家` } });
-        return;
-      }
-      game.startRound();
-      room.broadcast({ type: 'GAME_START', data: { phase: game.phase } });
-
-      // 發送初始手牌
-      for (const player of game.players.values()) {
-        room.sendTo(player.id, {
-          type: 'CARD_DRAWN',
-          data: { playerId: player.id, card: player.hand[0] }
-        });
-      }
-
-      // 當前玩家抽牌
-      drawCardForCurrentPlayer(room);
-      break;
-
-    case 'PLAY_CARD':
-      playCard(room, data);
-      break;
+/**
+ * 掃描 games/ 底下的資料夾，有 module.js 的就載入為遊戲模組
+ * 缺少必要欄位的模組會略過並記錄錯誤，不影響其他遊戲
+ */
+function loadGames(dir) {
+  const loaded = {};
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const modulePath = path.join(dir, entry.name, 'module.js');
+    if (!entry.isDirectory() || !fs.existsSync(modulePath)) continue;
+
+    const game = require(modulePath);
+    const missing = REQUIRED_MODULE_FIELDS.filter(field => game[field] === undefined);
+    if (missing.length > 0) {
+      console.error(`[Games] 略過 ${entry.name}：缺少 ${missing.join(', ')}`);
+      continue;
+    }
+    loaded[game.id] = game;
   }
+  return loaded;
 }
 
-function drawCardForCurrentPlayer(room) {
-  const game = room.game;
-  const current = game.getCurrentPlayer();
-  if (!current) return;
-
-  current.protected = false;
-  const card = game.drawCard();
-  if (card) {
-    current.hand.push(card);
-    room.sendTo(current.id, {
-      type: 'CARD_DRAWN',
-      data: { playerId: current.id, card }
-    });
-  }
+/**
+ * 提供給遊戲模組的房間與會話操作（模組不直接碰伺服器的內部狀態）
+ */
+const hub = {
+  getRoom(roomId) {
+    return rooms.get(roomId) || null;
+  },
+
+  // 房間是否還在（計時器觸發前房間可能已經關閉）
+  isActive(room) {
+    return rooms.get(room.roomId) === room;
+  },
+
+  createRoom(roomId, gameType, settings) {
+    const room = new GameRoom(roomId, gameType, settings);
+    rooms.set(roomId, room);
+    return room;
+  },
+
+  // 房間只剩電腦玩家（或沒人）時直接刪除
+  deleteRoomIfEmpty(room) {
+    if (room.humanCount === 0 && hub.isActive(room)) {
+      removeRoom(room, '沒有玩家');
+    }
+  },
+
+  closeRoom,
+  createSession,
+  revokeSessions,
+  findReconnectSession,
+
+  /**
+   * 把重連的連線接回原本的座位，回傳房間
+   */
+  restoreSeat(conn, { playerId, disconnectInfo }) {
+    const room = rooms.get(disconnectInfo.roomId);
+    room.sockets.set(playerId, conn.ws);
+    disconnectedPlayers.delete(playerId);
+    conn.playerId = playerId;
+    conn.room = room;
+    conn.roomId = room.roomId;
+
+    console.log(`[Reconnect] 玩家 ${playerId} 重連成功`);
+    return room;
+  },
+};
 
-  room.broadcast({
-    type: 'TURN_CHANGE',
-    data: { currentPlayer: current.id, currentPlayerName: current.name }
-  });
+for (const game of Object.values(games)) {
+  game.setup?.(hub);
 }
 
-function playCard(room, data) {
-  const game = room.game;
-  const { playerId, cardIndex, targetId, guessType } = data;
-
-  const player = game.players.get(playerId);
-  const current = game.getCurrentPlayer();
+// ============================================
+// 觀戰
+// ============================================
 
-  if (!player || !current || current.id !== playerId) {
-    room.sendTo(playerId, { type: 'ERROR', data: { message: '不是你的回合' } });
+/**
+ * 以房間 ID（或私人房間的邀請碼）開始觀戰，只能看同一款遊戲的房間
+ * 邀請碼與私人房間由遊戲模組的 findRoomByInviteCode / checkSpectator 處理
+ */
+function spectate(conn, { roomId, inviteCode, name }) {
+  if (conn.playerId || conn.spectating) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, 'Already in a room');
     return;
   }
 
-  if (cardIndex < 0 || cardIndex >= player.hand.length) {
-    room.sendTo(playerId, { type: 'ERROR', data: { message: '無效的卡牌' } });
+  const game = games[conn.gameType];
+  const room = roomId
+    ? rooms.get(roomId)
+    : inviteCode
+      ? game.findRoomByInviteCode?.(inviteCode)
+      : rooms.get(conn.roomId);
+  if (!room || room.gameType !== conn.gameType) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, 'Room not found');
     return;
   }
-
-  const card = player.hand[cardIndex];
-
-  if (game.mustPlayCountess && game.mustPlayCountess(player) && card.type !== 'COUNTESS') {
-    room.sendTo(playerId, { type: 'ERROR', data: { message: '你必須打出伯爵夫人！' } });
+  const denied = game.checkSpectator?.(room, { inviteCode });
+  if (denied) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, denied);
     return;
   }
 
-  const target = targetId ? game.players.get(targetId) : null;
-  const result = game.executeCard(player, card, target, guessType);
-
-  if (!result.success) {
-    room.sendTo(playerId, { type: 'ERROR', data: { message: result.message } });
+  const spectatorId = `spectator-${crypto.randomBytes(4).toString('hex')}`;
+  const spectatorName = name || 'Spectator';
+  if (!room.addSpectator(spectatorId, spectatorName, conn.ws)) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, 'Too many spectators');
     return;
   }
+  conn.spectating = { room, spectatorId };
+
+  const { legacyFormat, getPlayerView } = game;
+  conn.send(formatMessage('SPECTATING', {
+    spectatorId,
+    roomId: room.roomId,
+    delayMs: room.spectatorDelayMs,
+  }, legacyFormat));
+  // 目前的公開狀態和之後的廣播走同一條（可能延遲的）管道，順序才對得上
+  room.sendToSpectator(spectatorId, formatMessage('SPECTATOR_STATE', {
+    state: getPlayerView(room.game, null),
+  }, legacyFormat));
+  broadcastSpectators(room);
+  sendChatHistory(conn, room, 'spectators');
+
+  console.log(`[Spectate] ${spectatorName} 開始觀看房間 ${room.roomId}`);
+}
 
-  // 棄牌
-  player.hand.splice(cardIndex, 1);
-  player.discardPile.push(card);
+function stopSpectating(conn) {
+  if (!conn.spectating) return;
 
-  // 廣播結果
-  room.broadcast({
-    type: 'CARD_PLAYED',
-    data: { playerId, cardType: card.type, targetId, result: result.message }
-  });
+  const { room, spectatorId } = conn.spectating;
+  room.removeSpectator(spectatorId);
+  conn.spectating = null;
+  broadcastSpectators(room);
+  conn.send(formatMessage('SPECTATING_STOPPED', { roomId: room.roomId }, games[room.gameType].legacyFormat));
+}
 
-  // 私人訊息（如神父查看）
-  if (result.privateInfo) {
-    room.sendTo(playerId, {
-      type: 'PRIVATE_INFO',
-      data: result.privateInfo
-    });
+// 附上觀眾的 ID 與名稱，房主才能禁言觀眾
+function createSpectatorsMessage(room) {
+  return formatMessage('SPECTATORS_CHANGED', {
+    spectatorCount: room.spectators.size,
+    spectators: [...room.spectators.values()].map(({ id, name }) => ({ id, name })),
+  }, games[room.gameType].legacyFormat);
+}
+
+function broadcastSpectators(room) {
+  room.broadcast(createSpectatorsMessage(room));
+}
+
+// ============================================
+// 聊天
+// ============================================
+
+/**
+ * 找出連線所在的房間與聊天頻道：玩家用 players，觀眾用 spectators
+ */
+function getChatSeat(conn) {
+  if (conn.spectating) {
+    const { room, spectatorId } = conn.spectating;
+    const spectator = room.spectators.get(spectatorId);
+    return { room, channel: 'spectators', sender: { id: spectatorId, name: spectator?.name } };
+  }
+  if (conn.room && conn.playerId) {
+    const player = conn.room.game.players.get(conn.playerId);
+    return { room: conn.room, channel: 'players', sender: { id: conn.playerId, name: player?.name } };
   }
+  return null;
+}
 
-  // 如果有新抽的牌（王子效果）
-  if (result.newCard && target) {
-    room.sendTo(target.id, {
-      type: 'CARD_DRAWN',
-      data: { playerId: target.id, card: result.newCard }
-    });
+// 文字訊息與表情反應共用同一個頻道與發言頻率上限
+function postChat(conn, payload) {
+  const seat = getChatSeat(conn);
+  if (!seat) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, 'Join a room before chatting');
+    return;
   }
 
-  // 檢查回合結束
-  checkRoundEnd(room);
+  const { room, channel, sender } = seat;
+  const result = room.chat.post(channel, sender, payload);
+  if (!result.success) {
+    conn.reject(result.code, result.message);
+    return;
+  }
+  room.sendToChannel(channel, formatMessage('CHAT_MESSAGE', result.entry, games[room.gameType].legacyFormat));
 }
 
-function checkRoundEnd(room) {
-  const game = room.game;
-
-  if (game.isRoundOver()) {
-    const winner = game.determineRoundWinner();
-    if (winner) {
-      winner.tokens++;
-      room.broadcast({
-        type: 'ROUND_END',
-        data: { winner: winner.id, winnerName: winner.name, tokens: winner.tokens }
-      });
-    }
+/**
+ * 剛加入、重連或開始觀戰時補發頻道最近的訊息
+ */
+function sendChatHistory(conn, room, channel) {
+  conn.send(formatMessage('CHAT_HISTORY', {
+    channel,
+    messages: room.chat.getHistory(channel),
+  }, games[room.gameType].legacyFormat));
+}
 
-    if (game.isGameOver()) {
-      const gameWinner = game.getGameWinner();
-      game.phase = 'GAME_OVER';
-      room.broadcast({
-        type: 'GAME_END',
-        data: { winner: gameWinner.id, winnerName: gameWinner.name }
-      });
-    } else {
-      setTimeout(() => {
-        game.startRound();
-        room.broadcast({ type: 'ROUND_START' });
-        for (const player of game.players.values()) {
-          room.sendTo(player.id, {
-            type: 'CARD_DRAWN',
-            data: { playerId: player.id, card: player.hand[0] }
-          });
-        }
-        drawCardForCurrentPlayer(room);
-      }, 2000);
-    }
-  } else {
-    game.nextPlayer();
-    drawCardForCurrentPlayer(room);
+// 房主禁言或解除禁言（玩家或觀眾皆可）
+function setChatMuted(conn, { playerId }, msg) {
+  const room = conn.room;
+  if (!room || room.hostId !== conn.playerId) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, 'Only the host can mute players');
+    return;
   }
+  if (playerId === conn.playerId) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, 'The host cannot mute themselves');
+    return;
+  }
+  if (!room.game.players.has(playerId) && !room.spectators.has(playerId)) {
+    conn.reject(ERROR_CODES.ACTION_REJECTED, 'Player not found');
+    return;
+  }
+
+  const muted = msg.type === 'MUTE_PLAYER';
+  room.chat.setMuted(playerId, muted);
+  room.broadcast(formatMessage('PLAYER_MUTED', { playerId, muted }, games[room.gameType].legacyFormat));
 }
 
+// 所有遊戲共用、由伺服器直接處理的訊息（優先於遊戲模組的同名訊息）
+const SERVER_MESSAGES = {
+  PING: conn => conn.send({ type: 'PONG' }),
+  SPECTATE: {
+    schema: {
+      roomId: { type: 'string', maxLength: 64 },
+      inviteCode: { type: 'string', maxLength: 16 },
+      name: { type: 'string', maxLength: 32 },
+    },
+    handler: spectate,
+  },
+  STOP_SPECTATING: stopSpectating,
+  CHAT: {
+    schema: { text: { type: 'string', required: true, maxLength: CHAT_CONFIG.MAX_LENGTH } },
+    handler: postChat,
+  },
+  REACTION: {
+    schema: { reaction: { type: 'enum', values: REACTIONS, required: true } },
+    handler: postChat,
+  },
+  MUTE_PLAYER: {
+    schema: { playerId: { type: 'string', required: true } },
+    handler: setChatMuted,
+  },
+  UNMUTE_PLAYER: {
+    schema: { playerId: { type: 'string', required: true } },
+    handler: setChatMuted,
+  },
+};
+
 // ============================================
 // WebSocket 連線處理
 // ============================================
@@ -497,256 +720,137 @@ wss.on('connection', (ws, req) => {
   // 或 Memory Battle 配對: /ws/memory-battle/auto
   const url = req.url || '';
   const match = url.match(/\/ws\/(\w+[-\w]*)\/(\w+)/);
-  let gameType = match ? match[1] : 'love-letter';
-  let roomId = match ? match[2] : 'default';
-
-  let playerId = null;
-  let currentRoom = null;
+  const gameType = match && games[match[1]] ? match[1] : DEFAULT_GAME;
+  const game = games[gameType];
+
+  // 交給遊戲模組的連線狀態，模組加入座位後會填上 playerId 與 room
+  const conn = {
+    ws,
+    gameType,
+    roomId: match ? match[2] : 'default',
+    playerId: null,
+    room: null,
+    spectating: null, // { room, spectatorId }，觀戰中不能送遊戲動作
+    version: LEGACY_VERSION, // 依最近一則訊息的格式決定回覆格式；CONNECTED 兩種前端都看得懂
+    requestId: undefined, // 處理請求期間送給這條連線的訊息都帶回請求的 id
+    requestType: undefined,
+    send(message) {
+      sendMessage(ws, message);
+    },
+    // 協定層的錯誤回覆
+    reject(code, message, details) {
+      sendMessage(ws, createErrorMessage(code, message, {
+        requestType: conn.requestType,
+        details,
+        legacyFormat: game.legacyFormat,
+      }));
+    },
+  };
+  connections.set(ws, conn);
 
-  console.log(`[${new Date().toISOString()}] New connection: ${gameType}/${roomId}`);
+  console.log(`[${new Date().toISOString()}] New connection: ${gameType}/${conn.roomId}`);
 
   ws.on('message', (data) => {
-    try {
-      const msg = JSON.parse(data.toString());
-      console.log(`[${roomId}] ${msg.type}:`, msg.data || msg.payload || '');
-
-      // Memory Battle 專用訊息
-      if (gameType === 'memory-battle') {
-        switch (msg.type) {
-          case 'JOIN_GAME': {
-            const { playerName, avatar, gridSize, reconnectPlayerId } = msg.payload || msg.data || {};
-            
-            // 檢查是否為重連
-            const disconnectInfo = reconnectPlayerId ? disconnectedPlayers.get(reconnectPlayerId) : null;
-            
-            if (disconnectInfo) {
-              // 重連邏輯
-              playerId = reconnectPlayerId;
-              const room = rooms.get(disconnectInfo.roomId);
-              
-              if (room) {
-                // 恢復連接
-                room.sockets.set(playerId, ws);
-                disconnectedPlayers.delete(playerId);
-                currentRoom = room;
-                roomId = room.roomId;
-
-                console.log(`[Reconnect] 玩家 ${playerId} 重連成功`);
-
-                // 發送當前遊戲狀態
-                ws.send(JSON.stringify({
-                  type: 'RECONNECTED',
-                  playerId,
-                  roomId: room.roomId,
-                  roomState: room.game.getPublicState(),
-                  message: '重連成功！',
-                }));
-
-                // 通知其他玩家
-                room.broadcast({
-                  type: 'PLAYER_RECONNECTED',
-                  playerId,
-                  playerName: disconnectInfo.playerData.name,
-                  message: '玩家重新連線',
-                });
-                break;
-              }
-            }
-
-            // 正常加入
-            playerId = uuidv4();
-
-            // 自動配對
-            const room = findOrCreateMemoryBattleRoom(gridSize || '4x4');
-            currentRoom = room;
-            roomId = room.roomId;
-
-            if (room.addPlayer(playerId, playerName || 'Player', ws, false, avatar)) {
-              const playerIndex = room.game.playerCount - 1;
-
-              ws.send(JSON.stringify({
-                type: 'JOINED_ROOM',
-                playerId,
-                roomId: room.roomId,
-                playerIndex,
-                roomState: room.game.getPublicState(),
-              }));
-
-              room.broadcast({
-                type: 'PLAYER_JOINED',
-                player: {
-                  id: playerId,
-                  name: playerName || 'Player',
-                  avatar: avatar || '👤',
-                  score: 0,
-                  isReady: false,
-                },
-                roomState: room.game.getPublicState(),
-              });
-
-              // 如果 2 人到齊，自動開始
-              if (room.game.playerCount === 2) {
-                setTimeout(() => {
-                  if (room.game.startGame()) {
-                    room.broadcast({
-                      type: 'GAME_STARTED',
-                      roomState: room.game.getPublicState(),
-                    });
-                    startMemoryBattleTurnTimer(room);
-                  }
-                }, 2000);
-              }
-            } else {
-              ws.send(JSON.stringify({ type: 'ERROR', message: 'Failed to join room' }));
-            }
-            break;
-          }
-
-          case 'FLIP_CARD':
-          case 'REMATCH': {
-            if (currentRoom && playerId) {
-              handleMemoryBattleAction(currentRoom, ws, msg.type, msg.payload || msg.data || {}, playerId);
-            }
-            break;
-          }
+    const parsed = parseMessage(data.toString());
+    if (!parsed.success) {
+      conn.requestId = parsed.id;
+      conn.reject(parsed.code, parsed.message);
+      conn.requestId = undefined;
+      return;
+    }
 
-          case 'LEAVE_ROOM': {
-            if (currentRoom && playerId) {
-              const player = currentRoom.game.players.get(playerId);
-              currentRoom.removePlayer(playerId);
-              currentRoom.broadcast({
-                type: 'PLAYER_LEFT',
-                playerId,
-                roomState: currentRoom.game.getPublicState(),
-              });
-              if (currentRoom.game.playerCount === 0) {
-                rooms.delete(currentRoom.roomId);
-                memoryBattleQueue.delete(currentRoom.game.gridSize);
-              }
-            }
-            ws.send(JSON.stringify({ type: 'LEFT_ROOM' }));
-            break;
-          }
+    const { version, type, id, payload } = parsed;
+    conn.version = version;
+    conn.requestId = id;
+    conn.requestType = type;
+    // 只記錄訊息類型：內容可能有會話憑證或聊天文字
+    console.log(`[${conn.roomId}] ${type}`);
 
-          case 'PING':
-            ws.send(JSON.stringify({ type: 'PONG' }));
-            break;
-        }
+    try {
+      // 伺服器共用的訊息優先，其餘依類型交給遊戲模組處理
+      const isServerMessage = Object.hasOwn(SERVER_MESSAGES, type);
+      const route = findMessageRoute(isServerMessage ? SERVER_MESSAGES : game.messages, type);
+      if (!route) {
+        conn.reject(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type ${type}`);
         return;
       }
-
-      // Love Letter 原有訊息處理
-      switch (msg.type) {
-        case 'JOIN_ROOM': {
-          playerId = msg.data.playerId;
-          const playerName = msg.data.playerName;
-          const isHost = msg.data.isHost;
-
-          let room = rooms.get(roomId);
-          if (!room) {
-            room = new GameRoom(roomId, gameType);
-            rooms.set(roomId, room);
-          }
-          currentRoom = room;
-
-          if (room.addPlayer(playerId, playerName, ws, isHost)) {
-            room.broadcast({
-              type: 'PLAYER_JOINED',
-              data: {
-                playerId,
-                playerName,
-                playerCount: room.game.playerCount,
-                maxPlayers: room.game.maxPlayers
-              }
-            });
-          } else {
-            ws.send(JSON.stringify({ type: 'ERROR', data: { message: '房間已滿' } }));
-          }
-          break;
-        }
-
-        case 'START_GAME':
-        case 'PLAY_CARD': {
-          const room = rooms.get(roomId);
-          if (room) {
-            handleGameAction(room, msg.type, msg.data || {});
-          }
-          break;
-        }
-
-        case 'LEAVE_ROOM': {
-          const room = rooms.get(roomId);
-          if (room && playerId) {
-            const player = room.game.players.get(playerId);
-            room.removePlayer(playerId);
-            room.broadcast({
-              type: 'PLAYER_LEFT',
-              data: { playerId, playerName: player?.name }
-            });
-            if (room.game.playerCount === 0) {
-              rooms.delete(roomId);
-            }
+      if (conn.spectating && !isServerMessage) {
+        conn.reject(ERROR_CODES.ACTION_REJECTED, 'Spectators cannot send game actions');
+        return;
+      }
+      const errors = validatePayload(payload, route.schema);
+      if (errors.length > 0) {
+        conn.reject(ERROR_CODES.INVALID_PAYLOAD, `Invalid ${type} payload`, errors);
+        return;
+      }
+      const previousRoom = conn.room;
+      route.handler(conn, payload, { type, id, payload });
+
+      if (conn.room) {
+        updateRoomActivity(conn.room.roomId);
+        // 剛坐上座位（加入或重連）時補發聊天紀錄與目前的觀眾
+        if (conn.room !== previousRoom) {
+          sendChatHistory(conn, conn.room, 'players');
+          if (conn.room.spectators.size > 0) {
+            conn.send(createSpectatorsMessage(conn.room));
           }
-          break;
         }
-
-        case 'PING':
-          ws.send(JSON.stringify({ type: 'PONG' }));
-          break;
       }
     } catch (err) {
       console.error('Error:', err.message);
+      conn.reject(ERROR_CODES.INTERNAL_ERROR, 'Failed to handle message');
+    } finally {
+      conn.requestId = undefined;
+      conn.requestType = undefined;
     }
   });
 
   ws.on('close', () => {
-    if (currentRoom && playerId) {
-      const player = currentRoom.game.players.get(playerId);
-      
+    if (conn.spectating) {
+      const { room, spectatorId } = conn.spectating;
+      room.removeSpectator(spectatorId);
+      broadcastSpectators(room);
+    }
+
+    const { room, playerId } = conn;
+    if (room && playerId) {
+      const player = room.game.players.get(playerId);
+      const disconnectTime = Date.now();
+
       // 記錄斷線玩家，允許 30 秒內重連
       disconnectedPlayers.set(playerId, {
-        roomId: currentRoom.roomId,
-        disconnectTime: Date.now(),
+        roomId: room.roomId,
+        disconnectTime,
         playerData: {
           id: playerId,
           name: player?.name,
           avatar: player?.avatar,
-          score: player?.score,
         },
       });
 
       console.log(`[Reconnect] 玩家 ${playerId} 斷線，保留 ${RECONNECT_CONFIG.TIMEOUT_MS / 1000} 秒`);
 
-      // 通知其他玩家（但不移除）
-      currentRoom.broadcast({
-        type: 'PLAYER_DISCONNECTED',
-        playerId,
+      game.onDisconnect?.(room, playerId, {
         playerName: player?.name,
-        message: '玩家斷線，等待重連...',
+        reconnectTimeoutMs: RECONNECT_CONFIG.TIMEOUT_MS,
+        deadline: disconnectTime + RECONNECT_CONFIG.TIMEOUT_MS,
       });
 
-      // 設定超時清理
+      // 設定超時清理（重連後又斷線時，只處理最新一次的斷線）
       setTimeout(() => {
         const disconnectInfo = disconnectedPlayers.get(playerId);
-        if (disconnectInfo) {
+        if (disconnectInfo && disconnectInfo.disconnectTime === disconnectTime) {
           // 超過時間仍未重連，正式移除
           disconnectedPlayers.delete(playerId);
-          
+          revokeSessions(playerId);
+
           const room = rooms.get(disconnectInfo.roomId);
           if (room) {
-            room.removePlayer(playerId);
-            room.broadcast({
-              type: 'PLAYER_LEFT',
-              playerId,
-              playerName: disconnectInfo.playerData.name,
-              roomState: room.game?.getPublicState?.() || null,
-            });
-
-            if (room.game.playerCount === 0) {
-              rooms.delete(room.roomId);
-              if (gameType === 'memory-battle') {
-                memoryBattleQueue.delete(room.game.gridSize);
-              }
+            if (game.onReconnectTimeout) {
+              game.onReconnectTimeout(room, playerId, disconnectInfo.playerData.name);
+            } else {
+              room.removePlayer(playerId);
+              hub.deleteRoomIfEmpty(room);
             }
           }
 
@@ -754,16 +858,33 @@ wss.on('connection', (ws, req) => {
         }
       }, RECONNECT_CONFIG.TIMEOUT_MS);
     }
-    console.log(`[${new Date().toISOString()}] Disconnected: ${gameType}/${roomId}`);
+    console.log(`[${new Date().toISOString()}] Disconnected: ${gameType}/${conn.roomId}`);
   });
 
-  // 發送連接成功訊息
-  ws.send(JSON.stringify({
+  // 發送連接成功訊息（附上支援的協定版本，新版前端據此改用訊息信封）
+  conn.send({
     type: 'CONNECTED',
     version: VERSION,
-  }));
+    protocolVersion: PROTOCOL_VERSION,
+    supportedVersions: SUPPORTED_VERSIONS,
+  });
 });
 
+/**
+ * 訊息處理可以直接寫成函數，或寫成 { schema, handler } 附上欄位結構
+ */
+function findMessageRoute(messages, type) {
+  const entry = Object.hasOwn(messages, type) ? messages[type] : null;
+  if (typeof entry === 'function') {
+    return { handler: entry, schema: {} };
+  }
+  if (entry && typeof entry.handler === 'function') {
+    return { handler: entry.handler, schema: entry.schema || {} };
+  }
+  return null;
+}
+
+
 // ============================================
 // 記憶體清理系統
 // ============================================
@@ -779,8 +900,8 @@ function cleanupRooms() {
     const lastActivity = roomActivity.get(roomId) || room.createdAt || now;
     const idleTime = now - lastActivity;
 
-    // 情況 1：房間完全沒人 → 2 分鐘後刪除
-    if (room.game.playerCount === 0) {
+    // 情況 1：房間完全沒人（或只剩電腦玩家） → 2 分鐘後刪除
+    if (room.humanCount === 0) {
       if (idleTime > CLEANUP_CONFIG.EMPTY_TIMEOUT_MS) {
         roomsToDelete.push({ roomId, reason: '無玩家' });
       }
@@ -795,39 +916,56 @@ function cleanupRooms() {
   for (const { roomId, reason } of roomsToDelete) {
     const room = rooms.get(roomId);
     if (room) {
-      // 通知所有玩家
-      room.broadcast({
-        type: 'ROOM_CLOSED',
-        reason: `房間已關閉：${reason}`,
-      });
-
-      // 清理計時器
-      if (room.turnTimer) {
-        clearInterval(room.turnTimer);
-      }
-
-      // 刪除記錄
-      rooms.delete(roomId);
-      roomActivity.delete(roomId);
-
-      // 如果是 Memory Battle 等待房間，也清理
-      if (room.gameType === 'memory-battle') {
-        for (const [gridSize, queuedRoomId] of memoryBattleQueue) {
-          if (queuedRoomId === roomId) {
-            memoryBattleQueue.delete(gridSize);
-          }
-        }
-      }
-
+      closeRoom(room, reason);
       console.log(`[Cleanup] 已刪除房間 ${roomId} - ${reason}`);
     }
   }
 
+  // 遊戲模組各自的清理（例如失效的邀請碼）
+  for (const game of Object.values(games)) {
+    game.onCleanup?.();
+  }
+
   if (roomsToDelete.length > 0) {
     console.log(`[Cleanup] 清理完成：刪除 ${roomsToDelete.length} 個房間`);
   }
 }
 
+/**
+ * 關閉房間：通知所有玩家、停止計時器並移除所有記錄
+ */
+function closeRoom(room, reason) {
+  // 通知所有玩家（觀眾由 removeRoom 通知，不用 broadcast 以免觀眾收到兩次）
+  const message = { type: 'ROOM_CLOSED', reason: `房間已關閉：${reason}` };
+  for (const socket of room.sockets.values()) {
+    sendMessage(socket, message);
+  }
+
+  removeRoom(room, reason);
+}
+
+/**
+ * 移除房間：停止計時器、請觀眾離開、刪除記錄與會話憑證，並讓遊戲模組清理自己的資料（配對佇列、邀請碼等）
+ */
+function removeRoom(room, reason) {
+  room.clearTimers();
+
+  // 觀眾直接通知，不等延遲
+  for (const [spectatorId, { socket }] of room.spectators) {
+    room.removeSpectator(spectatorId);
+    const conn = connections.get(socket);
+    if (conn) {
+      conn.spectating = null;
+    }
+    sendMessage(socket, { type: 'ROOM_CLOSED', reason: `房間已關閉：${reason}` });
+  }
+
+  rooms.delete(room.roomId);
+  roomActivity.delete(room.roomId);
+  revokeRoomSessions(room.roomId);
+  games[room.gameType].onRoomClosed?.(room);
+}
+
 /**
  * 更新房間活動時間
  */
@@ -850,9 +988,10 @@ function startCleanupTimer() {
 // 伺服器啟動
 // ============================================
 
-// 啟動伺服器
-server.listen(PORT, () => {
-  console.log(`
+// 啟動伺服器（test.js 引入時不啟動，由測試自行控制）
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════╗
 ║      🎮 Game Hub Server v${VERSION}          ║
 ╠═══════════════════════════════════════════╣
@@ -863,6 +1002,14 @@ server.listen(PORT, () => {
 ╚═══════════════════════════════════════════╝
   `);
 
-  // 啟動清理系統
-  startCleanupTimer();
-});
+    // 啟動清理系統
+    startCleanupTimer();
+  });
+}
+
+module.exports = {
+  server,
+  hub,
+  rooms,
+  RECONNECT_CONFIG,
+};
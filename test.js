@@ -0,0 +1,881 @@
+/**
+ * 伺服器測試
+ * 房間流程直接呼叫 hub 與遊戲模組的訊息處理；連線相關的流程（會話、斷線重連）在隨機連線埠上實際連線測試
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const { server, hub } = require('./server');
+const loveLetter = require('./games/love-letter/module');
+const memoryBattle = require('./games/memory-battle/module');
+const { TURN_TIME_LIMIT } = require('./games/love-letter/index');
+const { PROTOCOL_VERSION, ERROR_CODES, parseMessage, validatePayload } = require('./protocol');
+const { ChatRoom, CHAT_CONFIG } = require('./chat');
+const { TestRunner, assert, assertEqual } = require('./games/test-runner');
+
+// 測試輔助：和伺服器交給模組的 conn 相同的連線狀態，收到的訊息依序存在 messages
+function createConnection(gameType, roomId) {
+  const messages = [];
+  const ws = {
+    readyState: WebSocket.OPEN,
+    send(raw) {
+      messages.push(JSON.parse(raw));
+    },
+  };
+  return {
+    ws,
+    gameType,
+    roomId,
+    playerId: null,
+    room: null,
+    spectating: null,
+    messages,
+    send(message) {
+      messages.push(message);
+    },
+    reject(code, message) {
+      messages.push({ type: 'ERROR', code, message });
+    },
+  };
+}
+
+// 以遊戲模組的訊息處理送出一則訊息
+function sendAs(gameModule, conn, type, payload = {}) {
+  const route = gameModule.messages[type];
+  const handler = typeof route === 'function' ? route : route.handler;
+  handler(conn, payload, { type, payload });
+}
+
+function lastMessage(conn, type) {
+  return conn.messages.filter(m => m.type === type).pop();
+}
+
+function joinLoveLetter(roomId, names) {
+  return names.map(playerName => {
+    const conn = createConnection('love-letter', roomId);
+    sendAs(loveLetter, conn, 'JOIN_ROOM', { playerName });
+    return conn;
+  });
+}
+
+// 測試輔助：在隨機連線埠啟動伺服器（只啟動一次）
+let serverPort = null;
+function startServer() {
+  if (serverPort) return Promise.resolve(serverPort);
+  return new Promise(resolve => {
+    server.listen(0, () => {
+      serverPort = server.address().port;
+      resolve(serverPort);
+    });
+  });
+}
+
+// 測試輔助：實際的 WebSocket 連線，收到 CONNECTED 後才回傳
+async function connect(path) {
+  const port = await startServer();
+  const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+  const client = {
+    ws,
+    messages: [],
+    send(message) {
+      ws.send(JSON.stringify(message));
+    },
+    close() {
+      ws.close();
+    },
+  };
+  ws.on('message', raw => client.messages.push(JSON.parse(raw)));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  await waitFor(client, 'CONNECTED');
+  return client;
+}
+
+// 等到收到某種訊息（取出後不會再被找到），逾時則失敗
+function waitFor(client, type, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const take = () => {
+      const index = client.messages.findIndex(m => m.type === type);
+      if (index === -1) return false;
+      resolve(client.messages.splice(index, 1)[0]);
+      return true;
+    };
+    if (take()) return;
+
+    const onMessage = () => {
+      if (take()) {
+        clearTimeout(timer);
+        client.ws.off('message', onMessage);
+      }
+    };
+    const timer = setTimeout(() => {
+      client.ws.off('message', onMessage);
+      reject(new Error(`Timed out waiting for ${type}`));
+    }, timeoutMs);
+    client.ws.on('message', onMessage);
+  });
+}
+
+// 測試輔助：對伺服器的 HTTP 查詢，回傳解析後的 JSON
+async function getJson(path) {
+  const port = await startServer();
+  return new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${port}${path}`, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(JSON.parse(body)));
+    }).on('error', reject);
+  });
+}
+
+async function joinOverSocket(roomId, playerName, extra = {}) {
+  const client = await connect(`/ws/love-letter/${roomId}`);
+  client.send({ type: 'JOIN_ROOM', data: { playerName, ...extra } });
+  client.joined = (await waitFor(client, 'JOINED_ROOM')).data;
+  return client;
+}
+
+// 建立測試套件
+const runner = new TestRunner('Server');
+
+// ============================================================
+// Love Letter 斷線測試
+// ============================================================
+
+runner.test('Love Letter: dropping out on your turn passes the turn and restarts the clock', () => {
+  const [a, b] = joinLoveLetter('ll-drop-current', ['A', 'B', 'C']);
+  sendAs(loveLetter, a, 'START_GAME');
+  const room = hub.getRoom('ll-drop-current');
+  const game = room.game;
+  assertEqual(game.getCurrentPlayer().id, a.playerId, 'A should start');
+  game.turnTimeLeft = 5;
+
+  loveLetter.onReconnectTimeout(room, a.playerId, 'A');
+
+  assert(!game.players.has(a.playerId), 'Seat should be removed');
+  assertEqual(game.phase, 'PLAYING', 'Round should go on');
+  const current = game.getCurrentPlayer();
+  assertEqual(current.id, b.playerId, 'Turn should pass to the next seat');
+  assertEqual(current.hand.length, 2, 'Next player should draw a card');
+  assert(room.hasTimer('turn'), 'Turn clock should be running');
+  assertEqual(game.turnTimeLeft, TURN_TIME_LIMIT, 'Turn clock should restart');
+  assertEqual(lastMessage(b, 'TURN_CHANGE').data.currentPlayer, b.playerId, 'Players should be told whose turn it is');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Love Letter: dropping out off-turn keeps the current turn and its time', () => {
+  const [a, , c] = joinLoveLetter('ll-drop-other', ['A', 'B', 'C']);
+  sendAs(loveLetter, a, 'START_GAME');
+  const room = hub.getRoom('ll-drop-other');
+  const game = room.game;
+  game.turnTimeLeft = 12;
+
+  loveLetter.onReconnectTimeout(room, c.playerId, 'C');
+
+  assertEqual(game.getCurrentPlayer().id, a.playerId, 'Current player should keep the turn');
+  assertEqual(game.getCurrentPlayer().hand.length, 2, 'Current player should keep both cards');
+  assert(room.hasTimer('turn'), 'Turn clock should keep running');
+  assertEqual(game.turnTimeLeft, 12, 'Time left should not reset');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Love Letter: the last opponent dropping out ends the round', () => {
+  const [a, b] = joinLoveLetter('ll-drop-last', ['A', 'B']);
+  sendAs(loveLetter, a, 'START_GAME');
+  const room = hub.getRoom('ll-drop-last');
+
+  loveLetter.onReconnectTimeout(room, a.playerId, 'A');
+
+  const roundEnd = lastMessage(b, 'ROUND_END');
+  assert(roundEnd, 'Round should be scored');
+  assertEqual(roundEnd.data.winner, b.playerId, 'Remaining player should win the round');
+  assert(!room.hasTimer('turn'), 'Turn clock should stop');
+  assert(!room.hasTimer('round'), 'No solo round should be dealt');
+  assertEqual(room.game.phase, 'GAME_OVER', 'Game should end');
+  assertEqual(lastMessage(b, 'GAME_END').data.winner, b.playerId, 'Remaining player should win the game');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Love Letter: leaving between rounds ends the game once too few players remain', () => {
+  const [a, b, c] = joinLoveLetter('ll-drop-between', ['A', 'B', 'C']);
+  sendAs(loveLetter, a, 'START_GAME');
+  const room = hub.getRoom('ll-drop-between');
+  room.game.eliminatePlayer(room.game.players.get(b.playerId));
+  loveLetter.onReconnectTimeout(room, a.playerId, 'A');
+  assertEqual(room.game.phase, 'ROUND_END', 'Round should be scored with two players left');
+  assert(room.hasTimer('round'), 'Next round should be scheduled');
+
+  loveLetter.onReconnectTimeout(room, b.playerId, 'B');
+  assert(!room.hasTimer('round'), 'Next round should be cancelled');
+  assertEqual(room.game.phase, 'GAME_OVER', 'Game should end');
+  assertEqual(lastMessage(c, 'GAME_END').data.winner, c.playerId, 'Remaining player should win the game');
+  assert(!lastMessage(c, 'ROUND_START'), 'No solo round should be dealt');
+  hub.closeRoom(room, 'test');
+});
+
+// ============================================================
+// 房主測試
+// ============================================================
+
+runner.test('Host: the room creator is host and a client isHost flag is ignored', () => {
+  const [a] = joinLoveLetter('host-flag', ['A', 'B']);
+  const c = createConnection('love-letter', 'host-flag');
+  sendAs(loveLetter, c, 'JOIN_ROOM', { playerName: 'C', isHost: true });
+  const room = hub.getRoom('host-flag');
+  assertEqual(room.hostId, a.playerId, 'Creator should stay host');
+
+  sendAs(loveLetter, c, 'ADD_BOT', {});
+  assertEqual(room.bots.size, 0, 'Non-host should not add bots');
+  assertEqual(lastMessage(c, 'ERROR').data.message, '只有房主可以調整電腦玩家', 'Non-host should be told why');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Host: the next seat takes over when the host leaves', () => {
+  const [a, b, c] = joinLoveLetter('host-leave', ['A', 'B', 'C']);
+  const room = hub.getRoom('host-leave');
+  sendAs(loveLetter, b, 'LEAVE_ROOM');
+  assertEqual(room.hostId, a.playerId, 'Host should not change when someone else leaves');
+
+  sendAs(loveLetter, a, 'LEAVE_ROOM');
+  assertEqual(room.hostId, c.playerId, 'Next seat should become host');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Host: only the host can start the game', () => {
+  const [, b] = joinLoveLetter('host-start', ['A', 'B']);
+  const room = hub.getRoom('host-start');
+  sendAs(loveLetter, b, 'START_GAME');
+  assertEqual(room.game.phase, 'WAITING', 'Game should not start');
+  assertEqual(lastMessage(b, 'ERROR').data.message, '只有房主可以開始遊戲', 'Non-host should be told why');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Host: the game cannot be restarted mid-round', () => {
+  const [a] = joinLoveLetter('host-restart', ['A', 'B']);
+  sendAs(loveLetter, a, 'START_GAME');
+  const room = hub.getRoom('host-restart');
+  const deckSize = room.game.deck.length;
+
+  sendAs(loveLetter, a, 'START_GAME');
+  assertEqual(room.game.deck.length, deckSize, 'Round should not be dealt again');
+  assertEqual(lastMessage(a, 'ERROR').data.message, '回合進行中，不能重新開始', 'Host should be told why');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Host: a new game after game over starts from zero tokens', () => {
+  const [a, b] = joinLoveLetter('host-new-game', ['A', 'B']);
+  const room = hub.getRoom('host-new-game');
+  const game = room.game;
+  game.phase = 'GAME_OVER';
+  game.players.get(b.playerId).tokens = game.tokensToWin;
+
+  sendAs(loveLetter, a, 'START_GAME');
+  assertEqual(game.phase, 'PLAYING', 'New game should start');
+  assertEqual(game.players.get(b.playerId).tokens, 0, 'Tokens should be reset');
+  hub.closeRoom(room, 'test');
+});
+
+// ============================================================
+// Love Letter 出牌測試
+// ============================================================
+
+for (const phase of ['ROUND_END', 'GAME_OVER']) {
+  runner.test(`Love Letter: the last player to act cannot play a card during ${phase}`, () => {
+    const players = joinLoveLetter(`late-play-${phase}`, ['A', 'B']);
+    const room = players[0].room;
+    const game = room.game;
+    sendAs(loveLetter, players[0], 'START_GAME');
+    const current = players.find(conn => conn.playerId === game.getCurrentPlayer().id);
+    game.phase = phase;
+    const tokens = [...game.players.values()].map(player => player.tokens).join();
+
+    sendAs(loveLetter, current, 'PLAY_CARD', { cardIndex: 0 });
+    assertEqual(lastMessage(current, 'ERROR').data.message, '不是你的回合', 'Play should be refused');
+    assertEqual(game.getCurrentPlayer().hand.length, 2, 'Hand should be untouched');
+    assertEqual([...game.players.values()].map(player => player.tokens).join(), tokens, 'No token should be handed out');
+    assert(!players.some(conn => lastMessage(conn, 'ROUND_END')), 'Round should not end again');
+
+    sendAs(loveLetter, current, 'BISHOP_CHOICE', { discard: true });
+    assertEqual(lastMessage(current, 'ERROR').data.message, '沒有待處理的選擇', 'Choices should be refused too');
+    hub.closeRoom(room, 'test');
+  });
+}
+
+// ============================================================
+// 房間設定測試
+// ============================================================
+
+runner.test('Love Letter: rooms ignore a client seed', () => {
+  const conn = createConnection('love-letter', 'll-seed');
+  sendAs(loveLetter, conn, 'JOIN_ROOM', { playerName: 'A', seed: 12345 });
+  assert(conn.room.game.seed !== 12345, 'Seed should be random');
+  hub.closeRoom(conn.room, 'test');
+});
+
+runner.test('Memory Battle: public matchmaking ignores a client seed', () => {
+  const conn = createConnection('memory-battle', 'auto');
+  sendAs(memoryBattle, conn, 'JOIN_GAME', { playerName: 'A', gridSize: '4x4', seed: 12345 });
+  assert(conn.room, 'Player should be seated');
+  assert(conn.room.game.seed !== 12345, 'Seed should be random');
+  hub.closeRoom(conn.room, 'test');
+});
+
+runner.test('Memory Battle: solo runs ignore a client seed', () => {
+  const conn = createConnection('memory-battle', 'auto');
+  sendAs(memoryBattle, conn, 'JOIN_GAME', { playerName: 'A', mode: 'solo', seed: 12345 });
+  assert(conn.room.game.seed !== 12345, 'Seed should be random');
+  hub.closeRoom(conn.room, 'test');
+});
+
+runner.test('Memory Battle: private rooms keep the seed', () => {
+  const conn = createConnection('memory-battle', 'auto');
+  sendAs(memoryBattle, conn, 'CREATE_PRIVATE_ROOM', { playerName: 'A', seed: 12345 });
+  assertEqual(conn.room.game.seed, 12345, 'Private rooms may pick the board');
+  hub.closeRoom(conn.room, 'test');
+});
+
+// ============================================================
+// Memory Battle 棄權測試
+// ============================================================
+
+function createPrivateMemoryBattle(settings = {}) {
+  const host = createConnection('memory-battle', 'auto');
+  sendAs(memoryBattle, host, 'CREATE_PRIVATE_ROOM', { playerName: 'Host', ...settings });
+  return host;
+}
+
+runner.test('Memory Battle: a forfeit at a three-player table keeps the game going', () => {
+  const host = createPrivateMemoryBattle({ tableSize: 3 });
+  const { inviteCode } = lastMessage(host, 'JOINED_ROOM');
+  const [dropped, other] = ['B', 'C'].map(playerName => {
+    const conn = createConnection('memory-battle', 'auto');
+    sendAs(memoryBattle, conn, 'JOIN_BY_CODE', { playerName, inviteCode });
+    return conn;
+  });
+  const room = host.room;
+  room.game.startGame();
+
+  memoryBattle.onDisconnect(room, dropped.playerId, { playerName: 'B', deadline: Date.now() + 30000 });
+  memoryBattle.onReconnectTimeout(room, dropped.playerId, 'B');
+
+  assertEqual(hub.getRoom(room.roomId), room, 'Room should stay open');
+  assertEqual(room.game.phase, 'PLAYING', 'Game should go on');
+  assertEqual(room.game.playerCount, 2, 'Forfeiting player should be gone');
+  assert(room.hasTimer('turn'), 'Turn clock should run again');
+  assertEqual(lastMessage(other, 'PLAYER_FORFEITED').playerId, dropped.playerId, 'Others should see the forfeit');
+  assert(lastMessage(other, 'GAME_RESUMED'), 'Others should be told to continue');
+  hub.closeRoom(room, 'test');
+});
+
+runner.test('Private room: spectators need the invite code', async () => {
+  const host = createPrivateMemoryBattle();
+  const { roomId, inviteCode } = lastMessage(host, 'JOINED_ROOM');
+
+  const stranger = await connect('/ws/memory-battle/auto');
+  stranger.send({ type: 'SPECTATE', roomId });
+  const denied = await waitFor(stranger, 'ERROR');
+  assertEqual(denied.message, 'Private rooms can only be watched with the invite code', 'Room id alone should not be enough');
+
+  const friend = await connect('/ws/memory-battle/auto');
+  friend.send({ type: 'SPECTATE', inviteCode });
+  assertEqual((await waitFor(friend, 'SPECTATING')).roomId, roomId, 'Invite code should find the room');
+
+  hub.closeRoom(host.room, 'test');
+  stranger.close();
+  friend.close();
+});
+
+runner.test('Room list: each game adds its own fields', async () => {
+  const host = createPrivateMemoryBattle({ gridSize: '4x4' });
+  const [player] = joinLoveLetter('listed', ['A']);
+
+  const { rooms: listed } = await getJson('/rooms');
+  const privateRoom = listed.find(room => room.id === host.room.roomId);
+  assertEqual(privateRoom.game, 'memory-battle', 'Game id should be listed');
+  assertEqual(privateRoom.gridSize, '4x4', 'Memory Battle should list its grid');
+  assertEqual(privateRoom.isPrivate, true, 'Memory Battle should list private rooms as private');
+  const loveLetterRoom = listed.find(room => room.id === 'listed');
+  assertEqual(loveLetterRoom.ruleset, player.room.game.ruleset, 'Love Letter should list its ruleset');
+  assertEqual(loveLetterRoom.isPrivate, undefined, 'Love Letter has no private rooms');
+
+  hub.closeRoom(host.room, 'test');
+  hub.closeRoom(player.room, 'test');
+});
+
+runner.test('Memory Battle: a forfeit at a two-player table ends the game without a rematch vote', () => {
+  const host = createPrivateMemoryBattle();
+  const { inviteCode } = lastMessage(host, 'JOINED_ROOM');
+  const dropped = createConnection('memory-battle', 'auto');
+  sendAs(memoryBattle, dropped, 'JOIN_BY_CODE', { playerName: 'B', inviteCode });
+  const room = host.room;
+  room.game.startGame();
+
+  memoryBattle.onDisconnect(room, dropped.playerId, { playerName: 'B', deadline: Date.now() + 30000 });
+  memoryBattle.onReconnectTimeout(room, dropped.playerId, 'B');
+
+  const ended = lastMessage(host, 'GAME_ENDED');
+  assertEqual(ended.winnerId, host.playerId, 'Remaining player should win');
+  assertEqual(ended.roomState.rematch, null, 'No rematch vote should open');
+  assertEqual(lastMessage(host, 'ROOM_CLOSED').reason, '房間已關閉：B 斷線棄權', 'Room should close because of the forfeit');
+  assertEqual(hub.getRoom(room.roomId), null, 'Room should be gone');
+});
+
+// ============================================================
+// 會話與斷線重連測試
+// ============================================================
+
+runner.test('Session: joining hands out a session token', async () => {
+  const a = await joinOverSocket('sesstoken', 'A');
+  assert(typeof a.joined.sessionToken === 'string' && a.joined.sessionToken.length >= 32, 'Token should be long and random');
+  assert(a.joined.sessionToken !== a.joined.playerId, 'Token should not be the public player id');
+  a.close();
+});
+
+runner.test('Session: rejoining with the session token restores the same seat', async () => {
+  const a = await joinOverSocket('sessrejoin', 'A');
+  const b = await joinOverSocket('sessrejoin', 'B');
+  a.close();
+  await waitFor(b, 'PLAYER_DISCONNECTED');
+
+  const again = await connect('/ws/love-letter/sessrejoin');
+  again.send({ type: 'JOIN_ROOM', data: { playerName: 'A', sessionToken: a.joined.sessionToken } });
+  const reconnected = await waitFor(again, 'RECONNECTED');
+  assertEqual(reconnected.data.playerId, a.joined.playerId, 'Should get the old seat back');
+
+  again.close();
+  b.close();
+});
+
+runner.test('Session: a token cannot take over a seat that is still connected', async () => {
+  const a = await joinOverSocket('sesstakeover', 'A');
+  const intruder = await joinOverSocket('sesstakeover', 'X', { sessionToken: a.joined.sessionToken });
+  assert(intruder.joined.playerId !== a.joined.playerId, 'Intruder should get a new seat');
+
+  a.close();
+  intruder.close();
+});
+
+runner.test('Session: a player id is not a session token', async () => {
+  const a = await joinOverSocket('sessplayerid', 'A');
+  const b = await joinOverSocket('sessplayerid', 'B');
+  a.close();
+  await waitFor(b, 'PLAYER_DISCONNECTED');
+
+  const impostor = await joinOverSocket('sessplayerid', 'X', { sessionToken: a.joined.playerId });
+  assert(impostor.joined.playerId !== a.joined.playerId, 'Public ids should not restore a seat');
+
+  impostor.close();
+  b.close();
+});
+
+runner.test('Session: each socket is bound to one seat', async () => {
+  const a = await joinOverSocket('sessbound', 'A');
+  a.send({ type: 'JOIN_ROOM', data: { playerName: 'A again' } });
+  assertEqual((await waitFor(a, 'ERROR')).data.message, '你已經在房間中', 'Second join should be refused');
+  a.close();
+});
+
+runner.test('Session: closing the room revokes its session tokens', async () => {
+  const a = await joinOverSocket('sessclosed', 'A');
+  const b = await joinOverSocket('sessclosed', 'B');
+  a.close();
+  await waitFor(b, 'PLAYER_DISCONNECTED');
+  assert(hub.findReconnectSession(a.joined.sessionToken, 'love-letter'), 'Token should work while the room is open');
+
+  hub.closeRoom(hub.getRoom('sessclosed'), 'test');
+  assertEqual(hub.findReconnectSession(a.joined.sessionToken, 'love-letter'), null, 'Token should be revoked');
+  b.close();
+});
+
+runner.test('Session: message logs leave out session tokens', async () => {
+  const a = await joinOverSocket('sesslog', 'A');
+  const b = await joinOverSocket('sesslog', 'B');
+  a.close();
+  await waitFor(b, 'PLAYER_DISCONNECTED');
+
+  const lines = [];
+  const originalLog = console.log;
+  console.log = (...args) => lines.push(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+  try {
+    const again = await connect('/ws/love-letter/sesslog');
+    again.send({ type: 'JOIN_ROOM', data: { playerName: 'A', sessionToken: a.joined.sessionToken } });
+    await waitFor(again, 'RECONNECTED');
+    again.close();
+  } finally {
+    console.log = originalLog;
+  }
+  assert(lines.some(line => line.includes('JOIN_ROOM')), 'Message type should still be logged');
+  assert(!lines.some(line => line.includes(a.joined.sessionToken)), 'Token should not be logged');
+
+  hub.closeRoom(hub.getRoom('sesslog'), 'test');
+  b.close();
+});
+
+// ============================================================
+// Memory Battle 私人房間測試
+// ============================================================
+
+async function createPrivateRoom(settings = {}) {
+  const host = await connect('/ws/memory-battle/auto');
+  host.send({ type: 'CREATE_PRIVATE_ROOM', payload: { playerName: 'Host', ...settings } });
+  host.joined = await waitFor(host, 'JOINED_ROOM');
+  return host;
+}
+
+async function joinByCode(inviteCode, playerName) {
+  const client = await connect('/ws/memory-battle/auto');
+  client.send({ type: 'JOIN_BY_CODE', payload: { playerName, inviteCode } });
+  return client;
+}
+
+runner.test('Private room: creating one returns an invite code and keeps it out of matchmaking', async () => {
+  const host = await createPrivateRoom({ gridSize: '4x4' });
+  assert(host.joined.isPrivate, 'Room should be private');
+  assert(/^[A-Z0-9]+$/.test(host.joined.inviteCode), 'Host should get an invite code');
+
+  const stranger = await connect('/ws/memory-battle/auto');
+  stranger.send({ type: 'JOIN_GAME', payload: { playerName: 'Stranger', gridSize: '4x4' } });
+  const joined = await waitFor(stranger, 'JOINED_ROOM');
+  assert(joined.roomId !== host.joined.roomId, 'Matchmaking should not seat strangers in a private room');
+
+  host.close();
+  stranger.close();
+});
+
+runner.test('Private room: friends join with the invite code', async () => {
+  const host = await createPrivateRoom();
+  const friend = await joinByCode(` ${host.joined.inviteCode.toLowerCase()} `, 'Friend');
+  const joined = await waitFor(friend, 'JOINED_ROOM');
+  assertEqual(joined.roomId, host.joined.roomId, 'Friend should join the same room');
+  await waitFor(host, 'PLAYER_JOINED'); // 自己加入的通知
+  assertEqual((await waitFor(host, 'PLAYER_JOINED')).player.id, joined.playerId, 'Host should see the friend join');
+
+  host.close();
+  friend.close();
+});
+
+runner.test('Private room: wrong codes and full rooms are rejected', async () => {
+  const host = await createPrivateRoom({ tableSize: 2 });
+
+  const guesser = await joinByCode('NOPE00', 'Guesser');
+  assertEqual((await waitFor(guesser, 'ERROR')).message, 'Invalid invite code', 'Unknown codes should be rejected');
+
+  const friend = await joinByCode(host.joined.inviteCode, 'Friend');
+  await waitFor(friend, 'JOINED_ROOM');
+  const late = await joinByCode(host.joined.inviteCode, 'Late');
+  assertEqual((await waitFor(late, 'ERROR')).message, 'Room is full or already playing', 'Full rooms should not take more players');
+
+  [host, guesser, friend, late].forEach(client => client.close());
+});
+
+runner.test('Private room: the invite code stops working once the room closes', async () => {
+  const host = await createPrivateRoom();
+  host.send({ type: 'LEAVE_ROOM' });
+  await waitFor(host, 'LEFT_ROOM');
+
+  const friend = await joinByCode(host.joined.inviteCode, 'Friend');
+  assertEqual((await waitFor(friend, 'ERROR')).message, 'Invalid invite code', 'Closed rooms should not be joinable');
+
+  host.close();
+  friend.close();
+});
+
+// ============================================================
+// Memory Battle 準備測試
+// ============================================================
+
+runner.test('Ready check: the game only starts once every player is ready', async () => {
+  const host = await createPrivateRoom({ tableSize: 2 });
+  const friend = await joinByCode(host.joined.inviteCode, 'Friend');
+  await waitFor(friend, 'JOINED_ROOM');
+
+  host.send({ type: 'READY' });
+  const ready = await waitFor(friend, 'PLAYER_READY');
+  assertEqual(ready.playerId, host.joined.playerId, 'Friend should see the host get ready');
+  assert(ready.isReady, 'Host should be marked ready');
+
+  // 倒數 2 秒；還有人沒準備就不會開始
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  assert(!host.messages.some(m => m.type === 'GAME_STARTED'), 'Game should wait for the friend');
+
+  friend.send({ type: 'READY' });
+  const started = await waitFor(host, 'GAME_STARTED', 4000);
+  assertEqual(started.roomState.phase, 'PLAYING', 'Game should start once everyone is ready');
+
+  host.close();
+  friend.close();
+});
+
+// ============================================================
+// 遊戲模組測試
+// ============================================================
+
+runner.test('Games: every loaded module is listed with its settings', async () => {
+  const { games } = await getJson('/games');
+  const byId = Object.fromEntries(games.map(game => [game.id, game]));
+  assert(byId['love-letter'] && byId['memory-battle'], 'Both games should be listed');
+  assertEqual(byId['love-letter'].settings.ruleset.default, 'classic', 'Love Letter should list its ruleset setting');
+  assertEqual(byId['memory-battle'].minPlayers, 1, 'Memory Battle should allow solo runs');
+  assert(byId['memory-battle'].settings.gridSize.presets.includes('4x4'), 'Memory Battle should list its grid presets');
+});
+
+runner.test('Games: an unknown game in the path falls back to Love Letter', async () => {
+  const client = await connect('/ws/no-such-game/modfallback');
+  client.send({ type: 'JOIN_ROOM', data: { playerName: 'A' } });
+  const joined = await waitFor(client, 'JOINED_ROOM');
+  assertEqual(joined.data.roomId, 'modfallback', 'Should join a Love Letter room');
+
+  const { rooms } = await getJson('/rooms');
+  assertEqual(rooms.find(room => room.id === 'modfallback').game, 'love-letter', 'Room should be a Love Letter room');
+  client.close();
+});
+
+// ============================================================
+// 訊息協定測試
+// ============================================================
+
+runner.test('Protocol: unsupported versions are refused but keep the request id', () => {
+  const parsed = parseMessage(JSON.stringify({ v: 99, type: 'PLAY_CARD', id: 'req-1', payload: {} }));
+  assertEqual(parsed.success, false, 'Version 99 should be refused');
+  assertEqual(parsed.code, ERROR_CODES.UNSUPPORTED_VERSION, 'Should be a version error');
+  assertEqual(parsed.id, 'req-1', 'Request id should come back');
+});
+
+runner.test('Protocol: messages that are not JSON objects with a type are bad messages', () => {
+  for (const raw of ['not json', '[1, 2]', '{"v": 2}', '{"v": 2, "type": "PING", "payload": [1]}']) {
+    const parsed = parseMessage(raw);
+    assertEqual(parsed.code, ERROR_CODES.BAD_MESSAGE, `${raw} should be a bad message`);
+  }
+});
+
+runner.test('Protocol: legacy messages read fields from data, payload or the top level', () => {
+  assertEqual(parseMessage('{"type": "PLAY_CARD", "data": {"cardIndex": 1}}').payload.cardIndex, 1, 'data');
+  assertEqual(parseMessage('{"type": "FLIP_CARD", "payload": {"cardId": 3}}').payload.cardId, 3, 'payload');
+  const flat = parseMessage('{"type": "FLIP_CARD", "cardId": 3}');
+  assertEqual(flat.version, 1, 'Messages without v are version 1');
+  assertEqual(flat.payload.cardId, 3, 'top level');
+});
+
+runner.test('Protocol: schemas report missing and mistyped fields', () => {
+  const schema = {
+    cardIndex: { type: 'integer', required: true, min: 0, max: 1 },
+    targetId: { type: 'string', maxLength: 8 },
+    discard: { type: 'boolean' },
+  };
+  assertEqual(validatePayload({ cardIndex: 0, extra: 'ignored' }, schema).length, 0, 'Valid payload should pass');
+  const errors = validatePayload({ cardIndex: '0', targetId: 'x'.repeat(9), discard: 'yes' }, schema);
+  assertEqual(errors.map(error => error.field).join(), 'cardIndex,targetId,discard', 'Every bad field should be listed');
+  assertEqual(errors[0].message, 'must be an integer', 'Wrong type should be explained');
+  assertEqual(validatePayload({}, schema)[0].message, 'is required', 'Missing field should be reported');
+  assertEqual(validatePayload({ cardIndex: 2 }, schema)[0].message, 'must be at most 1', 'Range should be checked');
+});
+
+runner.test('Protocol: the server answers bad requests with error codes in the envelope', async () => {
+  const client = await connect('/ws/love-letter/protocol');
+  client.send({ v: PROTOCOL_VERSION, type: 'JOIN_ROOM', id: 'join', payload: { playerName: 'A' } });
+  assertEqual((await waitFor(client, 'JOINED_ROOM')).id, 'join', 'Replies should carry the request id');
+
+  client.send({ v: 3, type: 'GET_STATE', id: 'old' });
+  let error = await waitFor(client, 'ERROR');
+  assertEqual(error.payload.code, ERROR_CODES.UNSUPPORTED_VERSION, 'Unknown version');
+  assertEqual(error.id, 'old', 'Errors should carry the request id');
+
+  client.send({ v: PROTOCOL_VERSION, type: 'FLIP_CARD', id: 'other-game' });
+  error = await waitFor(client, 'ERROR');
+  assertEqual(error.payload.code, ERROR_CODES.UNKNOWN_TYPE, 'Memory Battle messages are unknown in Love Letter');
+  assertEqual(error.payload.requestType, 'FLIP_CARD', 'Error should name the request');
+
+  client.send({ v: PROTOCOL_VERSION, type: 'PLAY_CARD', id: 'missing', payload: { targetId: 7 } });
+  error = await waitFor(client, 'ERROR');
+  assertEqual(error.payload.code, ERROR_CODES.INVALID_PAYLOAD, 'Bad payload');
+  assertEqual(JSON.stringify(error.payload.details), JSON.stringify([
+    { field: 'cardIndex', message: 'is required' },
+    { field: 'targetId', message: 'must be a string' },
+  ]), 'Details should list each field');
+
+  client.send({ type: 'PLAY_CARD', data: { cardIndex: 'first' } });
+  error = await waitFor(client, 'ERROR');
+  assertEqual(error.data.code, ERROR_CODES.INVALID_PAYLOAD, 'Legacy clients get the same checks');
+  assertEqual(error.v, undefined, 'Legacy clients get the legacy format');
+
+  client.close();
+});
+
+// ============================================================
+// 觀戰測試
+// ============================================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+runner.test('Spectate: a delayed spectator only sees the table after the delay', async () => {
+  const host = await joinOverSocket('delayed', 'A', { spectatorDelay: 1 });
+  const other = await joinOverSocket('delayed', 'B');
+  const spectator = await connect('/ws/love-letter/delayed');
+  spectator.send({ type: 'SPECTATE' });
+  assertEqual((await waitFor(spectator, 'SPECTATING')).data.delayMs, 1000, 'Spectator should be told the delay');
+
+  await sleep(500);
+  assert(!spectator.messages.some(m => m.type === 'SPECTATOR_STATE'), 'State should not arrive before the delay');
+  await waitFor(spectator, 'SPECTATOR_STATE', 1500);
+
+  host.send({ type: 'START_GAME' });
+  await sleep(500);
+  assert(!spectator.messages.some(m => m.type === 'GAME_START'), 'Moves should not arrive before the delay');
+  await waitFor(spectator, 'GAME_START', 1500);
+
+  [host, other, spectator].forEach(client => client.close());
+});
+
+runner.test('Spectate: spectators never see private hands', async () => {
+  const players = [];
+  for (const name of ['A', 'B', 'C']) {
+    players.push(await joinOverSocket('watched', name));
+  }
+  const spectator = await connect('/ws/love-letter/watched');
+  spectator.send({ type: 'SPECTATE' });
+  await waitFor(spectator, 'SPECTATOR_STATE');
+
+  players[0].send({ type: 'START_GAME' });
+  const turn = await waitFor(spectator, 'TURN_CHANGE');
+  assertEqual(turn.data.state.hand.length, 0, 'Spectator view should have no hand');
+  assertEqual(turn.data.state.pendingPrompt, null, 'Spectator view should have no prompt');
+  assertEqual(turn.data.legalMoves, undefined, 'Spectators should not get legal moves');
+  assert(turn.data.state.players.every(player => player.hand === undefined), 'Public state should only count cards');
+  await waitFor(players[0], 'CARD_DRAWN');
+
+  await sleep(100);
+  const privateTypes = spectator.messages.filter(m => ['CARD_DRAWN', 'HAND_UPDATE', 'PRIVATE_INFO'].includes(m.type));
+  assertEqual(privateTypes.length, 0, 'Private messages should not reach spectators');
+
+  [...players, spectator].forEach(client => client.close());
+});
+
+runner.test('Spectate: spectators are told once when the room closes', async () => {
+  const [player] = joinLoveLetter('closing', ['A']);
+  const spectator = await connect('/ws/love-letter/closing');
+  spectator.send({ type: 'SPECTATE' });
+  await waitFor(spectator, 'SPECTATOR_STATE');
+
+  hub.closeRoom(player.room, 'test');
+  assertEqual((await waitFor(spectator, 'ROOM_CLOSED')).reason, '房間已關閉：test', 'Spectator should be told why');
+  assertEqual(lastMessage(player, 'ROOM_CLOSED').reason, '房間已關閉：test', 'Players should be told too');
+  await sleep(100);
+  assert(!spectator.messages.some(m => m.type === 'ROOM_CLOSED'), 'Notice should arrive only once');
+  spectator.close();
+});
+
+// ============================================================
+// 聊天測試
+// ============================================================
+
+runner.test('Chat: each sender gets a limited number of messages per window', () => {
+  const chat = new ChatRoom();
+  const sender = { id: 'p1', name: 'A' };
+  for (let i = 0; i < CHAT_CONFIG.RATE_LIMIT_COUNT; i++) {
+    assert(chat.post('players', sender, { text: `hi ${i}` }, 1000 + i).success, `Message ${i} should go through`);
+  }
+  assertEqual(chat.post('players', sender, { reaction: '👍' }, 2000).code, ERROR_CODES.RATE_LIMITED, 'Reactions count too');
+  assert(chat.post('players', { id: 'p2', name: 'B' }, { text: 'hi' }, 2000).success, 'Others are not limited');
+  assert(chat.post('players', sender, { text: 'again' }, 1000 + CHAT_CONFIG.RATE_LIMIT_WINDOW_MS).success,
+    'Sender can talk again once the window moves on');
+});
+
+runner.test('Chat: text is trimmed, capped and filtered', () => {
+  const chat = new ChatRoom();
+  const sender = { id: 'p1', name: 'A' };
+  assertEqual(chat.post('players', sender, { text: '   ' }).code, ERROR_CODES.INVALID_PAYLOAD, 'Empty text');
+  assertEqual(chat.post('players', sender, { text: 'x'.repeat(CHAT_CONFIG.MAX_LENGTH + 1) }).code,
+    ERROR_CODES.INVALID_PAYLOAD, 'Long text');
+  assertEqual(chat.post('players', sender, { text: ' oh shit ' }).entry.text, 'oh ****', 'Blocked words are masked');
+});
+
+runner.test('Chat: players and spectators talk in separate channels', async () => {
+  const a = await joinOverSocket('chatrooms', 'A');
+  const b = await joinOverSocket('chatrooms', 'B');
+  const spectator = await connect('/ws/love-letter/chatrooms');
+  spectator.send({ type: 'SPECTATE', data: { name: 'Watcher' } });
+  await waitFor(spectator, 'SPECTATOR_STATE');
+
+  a.send({ type: 'CHAT', data: { text: 'players only' } });
+  const received = await waitFor(b, 'CHAT_MESSAGE');
+  assertEqual(received.data.channel, 'players', 'Players should use the players channel');
+  assertEqual(received.data.senderName, 'A', 'Sender should be named');
+
+  spectator.send({ type: 'CHAT', data: { text: 'spectators only' } });
+  assertEqual((await waitFor(spectator, 'CHAT_MESSAGE')).data.channel, 'spectators', 'Spectators use their own channel');
+  await sleep(100);
+  assert(!spectator.messages.some(m => m.type === 'CHAT_MESSAGE'), 'Spectators should not see player chat');
+  await waitFor(a, 'CHAT_MESSAGE');
+  assert(!a.messages.some(m => m.type === 'CHAT_MESSAGE'), 'Players should not see spectator chat');
+
+  a.send({ type: 'CHAT', data: { text: 'x'.repeat(CHAT_CONFIG.MAX_LENGTH + 1) } });
+  const tooLong = (await waitFor(a, 'ERROR')).data;
+  assertEqual(tooLong.code, ERROR_CODES.INVALID_PAYLOAD, 'Long messages should be refused');
+  assertEqual(tooLong.details[0].field, 'text', 'The message schema should catch it');
+
+  [a, b, spectator].forEach(client => client.close());
+});
+
+runner.test('Chat: only the host can mute a player', async () => {
+  const host = await joinOverSocket('chatmute', 'Host');
+  const guest = await joinOverSocket('chatmute', 'Guest');
+
+  guest.send({ type: 'MUTE_PLAYER', data: { playerId: host.joined.playerId } });
+  assertEqual((await waitFor(guest, 'ERROR')).data.message, 'Only the host can mute players', 'Only the host can mute');
+
+  host.send({ type: 'MUTE_PLAYER', data: { playerId: guest.joined.playerId } });
+  assertEqual((await waitFor(guest, 'PLAYER_MUTED')).data.muted, true, 'Everyone should be told');
+  guest.send({ type: 'CHAT', data: { text: 'boo' } });
+  assertEqual((await waitFor(guest, 'ERROR')).data.message, 'You have been muted by the host', 'Muted player');
+
+  host.send({ type: 'UNMUTE_PLAYER', data: { playerId: guest.joined.playerId } });
+  assertEqual((await waitFor(guest, 'PLAYER_MUTED')).data.muted, false, 'Everyone should be told again');
+  guest.send({ type: 'CHAT', data: { text: 'sorry' } });
+  assertEqual((await waitFor(guest, 'CHAT_MESSAGE')).data.text, 'sorry', 'Unmuted player can talk again');
+
+  [host, guest].forEach(client => client.close());
+});
+
+runner.test('Chat: the host can mute a spectator by the id it was sent', async () => {
+  const host = await joinOverSocket('chatspectator', 'Host');
+  const guest = await joinOverSocket('chatspectator', 'Guest');
+  const spectator = await connect('/ws/love-letter/chatspectator');
+  spectator.send({ type: 'SPECTATE', data: { name: 'Heckler' } });
+  const { spectatorId } = (await waitFor(spectator, 'SPECTATING')).data;
+
+  const { spectators } = (await waitFor(host, 'SPECTATORS_CHANGED')).data;
+  assertEqual(JSON.stringify(spectators), JSON.stringify([{ id: spectatorId, name: 'Heckler' }]), 'Host should see who is watching');
+
+  guest.send({ type: 'MUTE_PLAYER', data: { playerId: spectatorId } });
+  assertEqual((await waitFor(guest, 'ERROR')).data.message, 'Only the host can mute players', 'Only the host can mute');
+
+  host.send({ type: 'MUTE_PLAYER', data: { playerId: spectatorId } });
+  assertEqual((await waitFor(guest, 'PLAYER_MUTED')).data.muted, true, 'Everyone should be told');
+  spectator.send({ type: 'CHAT', data: { text: 'boo' } });
+  assertEqual((await waitFor(spectator, 'ERROR')).data.message, 'You have been muted by the host', 'Muted spectator');
+
+  host.send({ type: 'UNMUTE_PLAYER', data: { playerId: spectatorId } });
+  assertEqual((await waitFor(guest, 'PLAYER_MUTED')).data.muted, false, 'Everyone should be told again');
+  spectator.send({ type: 'CHAT', data: { text: 'sorry' } });
+  assertEqual((await waitFor(spectator, 'CHAT_MESSAGE')).data.text, 'sorry', 'Unmuted spectator can talk again');
+
+  const late = await joinOverSocket('chatspectator', 'Late');
+  assertEqual((await waitFor(late, 'SPECTATORS_CHANGED')).data.spectators[0].id, spectatorId,
+    'Players who sit down later should get the spectator list');
+
+  hub.closeRoom(hub.getRoom('chatspectator'), 'test');
+  [host, guest, spectator, late].forEach(client => client.close());
+});
+
+// ============================================================
+// 運行所有測試
+// ============================================================
+
+(async () => {
+  const success = await runner.run();
+  process.exit(success ? 0 : 1);
+})();